@@ -0,0 +1,15 @@
+// lib/geo.js — geo-helpers die server.js en de scripts delen
+
+// haversine-afstand in meters
+function distanceMeters(lat1, lon1, lat2, lon2) {
+  const R = 6371e3
+  const toRad = (d) => (d * Math.PI) / 180
+  const dLat = toRad(lat2 - lat1)
+  const dLon = toRad(lon2 - lon1)
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) ** 2
+  return 2 * R * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a))
+}
+
+module.exports = { distanceMeters }
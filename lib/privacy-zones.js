@@ -0,0 +1,101 @@
+// lib/privacy-zones.js — privacy-zone index (compile, grid, point-in-zone)
+// - Gedeeld door server.js en scripts/bench-privacy-zones.js, zodat de bench meet wat echt draait
+// - Geen IO: laden/cachen van privacy-zones.json blijft in server.js
+// - Zone-vorm en modes: zie de "Privacy zones" sectie in server.js
+
+const { distanceMeters } = require("./geo")
+
+const PRIVACY_ZONE_MODES = ["drop", "snap", "fuzz", "delay"]
+// bij overlap wint de strengste zone
+const PRIVACY_MODE_RANK = { snap: 0, fuzz: 1, delay: 2, drop: 3 }
+// Grid-index: celgrootte in graden; zones die meer cellen beslaan gaan in een aparte "wide" lijst
+const DEFAULT_GRID_DEG = 0.05
+const DEFAULT_GRID_MAX_CELLS = 400
+
+// runtime-vorm: mode gevuld, bbox [minLon, minLat, maxLon, maxLat] voor de grid (niet op disk)
+function compilePrivacyZone(z) {
+  const mode = PRIVACY_ZONE_MODES.includes(z.mode) ? z.mode : "drop"
+  if (!z.polygon?.coordinates) {
+    // iets ruimer dan nodig: lengtegraad-schaal aan de pool-kant van de cirkel
+    const dLat = (z.radius / 111_320) * 1.01
+    const edgeLat = Math.min(89.9, Math.abs(z.lat) + dLat)
+    const dLon = (z.radius / (111_320 * Math.cos((edgeLat * Math.PI) / 180))) * 1.01
+    return { ...z, mode, bbox: [z.lon - dLon, z.lat - dLat, z.lon + dLon, z.lat + dLat] }
+  }
+
+  const rings = z.polygon.coordinates
+  let minLon = Infinity
+  let minLat = Infinity
+  let maxLon = -Infinity
+  let maxLat = -Infinity
+  for (const [lon, lat] of rings[0]) {
+    minLon = Math.min(minLon, lon)
+    minLat = Math.min(minLat, lat)
+    maxLon = Math.max(maxLon, lon)
+    maxLat = Math.max(maxLat, lat)
+  }
+  return { ...z, mode, rings, bbox: [minLon, minLat, maxLon, maxLat] }
+}
+
+// cel "latCell:lonCell" → zones waarvan de bbox die cel raakt
+function buildPrivacyGrid(zones, { gridDeg = DEFAULT_GRID_DEG, maxCells = DEFAULT_GRID_MAX_CELLS } = {}) {
+  const cell = (v) => Math.floor(v / gridDeg)
+  const cells = new Map()
+  const wide = []
+  for (const z of zones) {
+    const [minLon, minLat, maxLon, maxLat] = z.bbox
+    const [x0, x1, y0, y1] = [cell(minLon), cell(maxLon), cell(minLat), cell(maxLat)]
+    if ((x1 - x0 + 1) * (y1 - y0 + 1) > maxCells) {
+      wide.push(z)
+      continue
+    }
+    for (let y = y0; y <= y1; y++) {
+      for (let x = x0; x <= x1; x++) {
+        const key = `${y}:${x}`
+        const list = cells.get(key)
+        if (list) list.push(z)
+        else cells.set(key, [z])
+      }
+    }
+  }
+  return { gridDeg, cells, wide }
+}
+
+// kandidaat-zones voor een punt (grid-cel + wide); exacte check blijft zoneContains
+function gridCandidates(grid, lat, lon) {
+  const cell = grid.cells.get(`${Math.floor(lat / grid.gridDeg)}:${Math.floor(lon / grid.gridDeg)}`)
+  if (!grid.wide.length) return cell || []
+  return cell ? cell.concat(grid.wide) : grid.wide
+}
+
+// ray casting in lon/lat; ring = [[lon, lat], ...]
+function pointInRing(lat, lon, ring) {
+  let inside = false
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i]
+    const [xj, yj] = ring[j]
+    if (yi > lat !== yj > lat && lon < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) inside = !inside
+  }
+  return inside
+}
+
+function zoneContains(z, lat, lon) {
+  const [minLon, minLat, maxLon, maxLat] = z.bbox
+  if (lon < minLon || lon > maxLon || lat < minLat || lat > maxLat) return false
+  if (z.rings) {
+    if (!pointInRing(lat, lon, z.rings[0])) return false
+    // gaten tellen niet mee
+    return !z.rings.slice(1).some((hole) => pointInRing(lat, lon, hole))
+  }
+  return distanceMeters(lat, lon, z.lat, z.lon) <= z.radius
+}
+
+module.exports = {
+  PRIVACY_ZONE_MODES,
+  PRIVACY_MODE_RANK,
+  compilePrivacyZone,
+  buildPrivacyGrid,
+  gridCandidates,
+  pointInRing,
+  zoneContains,
+}
@@ -0,0 +1,126 @@
+#!/usr/bin/env node
+/**
+ * api-keys.js
+ * Beheer van API keys in <DATA_DIR>/apiKeys.json (zelfde DATA_DIR als server.js).
+ * De key zelf wordt alleen bij het aanmaken getoond; op disk staat enkel een sha256 hash.
+ *
+ * Usage:
+ *   node scripts/api-keys.js mint <name> <scope> [scope...] [--tracker <id>...]   (scopes: ingest, admin, public)
+ *   node scripts/api-keys.js revoke <id>
+ *   node scripts/api-keys.js list
+ *
+ * --tracker beperkt de key tot die tracker(s) (/api/trackers/<id>/...; "default" = de gewone endpoints).
+ * Zo'n key kan geen gedeelde state wijzigen (zones, POIs, profielen, trackers, allTrackers).
+ * Let op: de server cachet keys max API_KEYS_CACHE_TTL_MS (default 10s).
+ * Na de eerste mint blijft auth aan (authEnforced.json), ook als alle keys zijn ingetrokken;
+ * weer open zetten kan alleen door dat bestand bewust te verwijderen.
+ */
+const fs = require("fs")
+const path = require("path")
+const crypto = require("crypto")
+
+try {
+  require("dotenv").config({ path: path.join(__dirname, "..", ".env") })
+} catch {
+  // dotenv is optioneel voor dit script
+}
+
+const SCOPES = ["ingest", "admin", "public"]
+
+const DATA_DIR = process.env.DATA_DIR
+  ? path.resolve(process.env.DATA_DIR)
+  : path.join(__dirname, "..", "data")
+const keysFile = path.join(DATA_DIR, "apiKeys.json")
+const latchFile = path.join(DATA_DIR, "authEnforced.json")
+
+function usage() {
+  console.error("Usage:")
+  console.error("  node scripts/api-keys.js mint <name> <scope> [scope...] [--tracker <id>...]   (scopes: " + SCOPES.join(", ") + ")")
+  console.error("  node scripts/api-keys.js revoke <id>")
+  console.error("  node scripts/api-keys.js list")
+  process.exit(1)
+}
+
+function readKeys() {
+  try {
+    const list = JSON.parse(fs.readFileSync(keysFile, "utf-8"))
+    return Array.isArray(list) ? list : []
+  } catch {
+    return []
+  }
+}
+
+function writeKeys(list) {
+  if (!fs.existsSync(DATA_DIR)) fs.mkdirSync(DATA_DIR, { recursive: true })
+  const tmp = keysFile + ".tmp"
+  fs.writeFileSync(tmp, JSON.stringify(list, null, 2), { encoding: "utf-8", mode: 0o600 })
+  fs.renameSync(tmp, keysFile)
+}
+
+const [cmd, ...args] = process.argv.slice(2)
+
+if (cmd === "mint") {
+  const trackers = []
+  const rest = []
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === "--tracker") trackers.push(args[++i])
+    else rest.push(args[i])
+  }
+  const [name, ...scopes] = rest
+  if (!name || !scopes.length || trackers.some((t) => !/^[a-z0-9][a-z0-9_-]{0,31}$/.test(t || ""))) usage()
+  const bad = scopes.filter((s) => !SCOPES.includes(s))
+  if (bad.length) {
+    console.error("Onbekende scope(s):", bad.join(", "))
+    process.exit(1)
+  }
+
+  const token = "dgt_" + crypto.randomBytes(24).toString("hex")
+  const item = {
+    id: crypto.randomBytes(6).toString("hex"),
+    name,
+    scopes,
+    ...(trackers.length ? { trackers } : {}),
+    hash: crypto.createHash("sha256").update(token).digest("hex"),
+    createdAt: new Date().toISOString(),
+    revokedAt: null,
+  }
+  const list = readKeys()
+  list.push(item)
+  writeKeys(list)
+  if (!fs.existsSync(latchFile)) {
+    fs.writeFileSync(latchFile, JSON.stringify({ since: item.createdAt }, null, 2), "utf-8")
+  }
+
+  const limit = trackers.length ? ` trackers=${trackers.join(",")}` : ""
+  console.log(`✅ Key aangemaakt: ${item.id} (${name}) scopes=${scopes.join(",")}${limit}`)
+  console.log(`🔑 ${token}`)
+  console.log("👉 Bewaar deze key nu; hij wordt niet nog een keer getoond.")
+} else if (cmd === "revoke") {
+  const [id] = args
+  if (!id) usage()
+  const list = readKeys()
+  const item = list.find((k) => k.id === id)
+  if (!item) {
+    console.error("Key niet gevonden:", id)
+    process.exit(1)
+  }
+  if (item.revokedAt) {
+    console.log(`ℹ️ Key ${id} was al ingetrokken op ${item.revokedAt}`)
+    process.exit(0)
+  }
+  item.revokedAt = new Date().toISOString()
+  writeKeys(list)
+  console.log(`🗑️ Key ${id} (${item.name}) ingetrokken`)
+} else if (cmd === "list") {
+  const list = readKeys()
+  if (!list.length && !fs.existsSync(latchFile)) console.log("(geen keys — auth staat uit zolang AUTH_MODE=auto)")
+  for (const k of list) {
+    const status = k.revokedAt ? `revoked ${k.revokedAt}` : "active"
+    // apiKeys.json kan met de hand bewerkt zijn: één kapotte entry mag de lijst niet breken
+    const limit = Array.isArray(k.trackers) && k.trackers.length ? `  trackers=${k.trackers.join(",")}` : ""
+    const scopes = Array.isArray(k.scopes) ? k.scopes.join(",") : ""
+    console.log(`${k.id}  ${String(k.name ?? "").padEnd(20)}  ${scopes.padEnd(20)}  ${status}${limit}`)
+  }
+} else {
+  usage()
+}
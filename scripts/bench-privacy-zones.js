@@ -0,0 +1,100 @@
+#!/usr/bin/env node
+/**
+ * bench-privacy-zones.js
+ * Vergelijkt de oude lineaire privacy-zone check (distanceMeters tegen elke zone)
+ * met de grid-index uit lib/privacy-zones.js (dezelfde code als server.js), op synthetische zones en punten.
+ *
+ * Usage:
+ *   node scripts/bench-privacy-zones.js [zones=50] [points=300000] [gridDeg=0.05]
+ *
+ * Output: tijd per variant, punten/sec, speedup en een check dat beide dezelfde hits geven.
+ */
+const { distanceMeters } = require("../lib/geo")
+const { compilePrivacyZone, buildPrivacyGrid, gridCandidates, pointInRing, zoneContains } = require("../lib/privacy-zones")
+
+const ZONES = Number(process.argv[2] || 50)
+const POINTS = Number(process.argv[3] || 300_000)
+const GRID_DEG = Number(process.argv[4] || 0.05)
+
+// Gebied ~ Nederland; vaste seed zodat runs vergelijkbaar zijn
+const AREA = { minLat: 50.8, maxLat: 53.5, minLon: 3.4, maxLon: 7.2 }
+let seed = 42
+function rand() {
+  seed = (seed * 1664525 + 1013904223) % 4294967296
+  return seed / 4294967296
+}
+const between = (a, b) => a + rand() * (b - a)
+
+// ── data
+const rawZones = []
+for (let i = 0; i < ZONES; i++) {
+  const lat = between(AREA.minLat, AREA.maxLat)
+  const lon = between(AREA.minLon, AREA.maxLon)
+  if (i % 5 === 4) {
+    const d = between(0.002, 0.02)
+    rawZones.push({
+      polygon: {
+        type: "Polygon",
+        coordinates: [[[lon - d, lat - d], [lon + d, lat - d], [lon + d, lat + d], [lon - d, lat + d], [lon - d, lat - d]]],
+      },
+    })
+  } else {
+    rawZones.push({ lat, lon, radius: between(100, 2000) })
+  }
+}
+const zones = rawZones.map(compilePrivacyZone)
+
+const points = new Float64Array(POINTS * 2)
+for (let i = 0; i < POINTS; i++) {
+  points[i * 2] = between(AREA.minLat, AREA.maxLat)
+  points[i * 2 + 1] = between(AREA.minLon, AREA.maxLon)
+}
+
+// ── varianten
+function runLinear() {
+  let hits = 0
+  for (let i = 0; i < POINTS; i++) {
+    const lat = points[i * 2]
+    const lon = points[i * 2 + 1]
+    // zoals inPrivacyZone vóór de grid: elke zone volledig checken
+    if (rawZones.some((z) => (z.polygon ? pointInRing(lat, lon, z.polygon.coordinates[0]) : distanceMeters(lat, lon, z.lat, z.lon) <= z.radius))) hits++
+  }
+  return hits
+}
+
+function runGrid() {
+  const t0 = process.hrtime.bigint()
+  const grid = buildPrivacyGrid(zones, { gridDeg: GRID_DEG })
+  const buildMs = Number(process.hrtime.bigint() - t0) / 1e6
+  let hits = 0
+  for (let i = 0; i < POINTS; i++) {
+    const lat = points[i * 2]
+    const lon = points[i * 2 + 1]
+    if (gridCandidates(grid, lat, lon).some((z) => zoneContains(z, lat, lon))) hits++
+  }
+  return { hits, buildMs, cells: grid.cells.size, wide: grid.wide.length }
+}
+
+function time(fn) {
+  const t0 = process.hrtime.bigint()
+  const result = fn()
+  return { result, ms: Number(process.hrtime.bigint() - t0) / 1e6 }
+}
+
+console.log(`🔎 ${ZONES} zones, ${POINTS} punten, grid ${GRID_DEG}°`)
+
+const linear = time(runLinear)
+const grid = time(runGrid)
+
+const fmt = (ms) => `${ms.toFixed(1)} ms (${Math.round(POINTS / (ms / 1000)).toLocaleString()} punten/s)`
+console.log(`lineair: ${fmt(linear.ms)} — ${linear.result} hits`)
+console.log(
+  `grid:    ${fmt(grid.ms)} — ${grid.result.hits} hits (build ${grid.result.buildMs.toFixed(2)} ms, ${grid.result.cells} cellen, ${grid.result.wide} wide)`
+)
+console.log(`⚡ speedup: ${(linear.ms / grid.ms).toFixed(1)}x`)
+
+if (linear.result !== grid.result.hits) {
+  console.error("❌ hits verschillen tussen lineair en grid")
+  process.exit(1)
+}
+console.log("✅ zelfde hits")
@@ -3,6 +3,8 @@
 // - Route logging: NDJSON (stream/append) om RAM-issues te voorkomen
 // - Public GeoJSON rebuild: gedebounced/throttled (scheelt CPU/IO)
 // - HTTPS cert loader: robuuster (certbot + win-acme filenames)
+// - Auth: API keys met scopes (ingest/admin/public), beheer via scripts/api-keys.js
+// - Meerdere trackers: /api/trackers/:id/... (eigen data-map per tracker), /api/... = default
 
 require("dotenv").config()
 const express = require("express")
@@ -12,14 +14,33 @@ const cors = require("cors")
 const axios = require("axios")
 const https = require("https")
 const http = require("http")
+const crypto = require("crypto")
 const readline = require("readline")
+const zlib = require("zlib")
+const { pipeline } = require("stream/promises")
+const { AsyncLocalStorage } = require("async_hooks")
 const { v4: uuid } = require("uuid")
+const { distanceMeters } = require("./lib/geo")
+const {
+  PRIVACY_ZONE_MODES,
+  PRIVACY_MODE_RANK,
+  compilePrivacyZone,
+  buildPrivacyGrid,
+  gridCandidates,
+  zoneContains,
+} = require("./lib/privacy-zones")
 
 const app = express()
 const PORT = Number(process.env.PORT || 3000)
 const DOMAIN = process.env.DOMAIN || "irllogging.duckdns.org"
 
 app.use(cors())
+// Routeset import: ruwe bestandsinhoud, ongeacht content-type en met een eigen limiet. Vóór de
+// globale parsers, anders maken die er al JSON/form-velden van (en geldt hun limiet van 2 mb).
+const IMPORT_MAX_MB = Number(process.env.IMPORT_MAX_MB || 20)
+const IMPORT_PATH_RE = /^\/api\/(?:trackers\/[^/?]+\/)?routesets\/import(?:\?|$)/
+const importBodyParser = express.text({ type: () => true, limit: `${IMPORT_MAX_MB}mb` })
+app.use((req, res, next) => (req.method === "POST" && IMPORT_PATH_RE.test(req.url) ? importBodyParser(req, res, next) : next()))
 app.use(express.json({ limit: "2mb" }))
 app.use(express.urlencoded({ extended: false }))
 
@@ -59,15 +80,12 @@ const axiosClient = axios.create({
 // Weather fetch throttling / dedupe / log rate limit
 // ─────────────────────────────────────────────
 const WEATHER_MIN_INTERVAL_MS = Number(process.env.WEATHER_MIN_INTERVAL_MS || 60_000) // 60s default
-let weatherInFlight = null
-let lastWeatherFetchAt = 0
-let lastWeatherLogAt = 0
 
 function shouldLogWeatherError() {
   const now = Date.now()
   // log max 1x per 30s om spam te voorkomen
-  if (now - lastWeatherLogAt > 30_000) {
-    lastWeatherLogAt = now
+  if (now - tracker().lastWeatherLogAt > 30_000) {
+    tracker().lastWeatherLogAt = now
     return true
   }
   return false
@@ -154,20 +172,225 @@ const DATA_DIR = process.env.DATA_DIR
 
 if (!fs.existsSync(DATA_DIR)) fs.mkdirSync(DATA_DIR, { recursive: true })
 
+// ─────────────────────────────────────────────
+// Trackers (meerdere streamers/devices): eigen data-map + state per tracker
+// ─────────────────────────────────────────────
+// De default tracker gebruikt DATA_DIR zelf (bestaande installs blijven werken), andere trackers
+// DATA_DIR/trackers/<id>/ (registratie in trackers.json). /api/trackers/:id/<pad> doet hetzelfde
+// als /api/<pad>, maar dan voor die tracker. Gedeeld: POIs, privacy zones, profielen en API keys.
+const DEFAULT_TRACKER = "default"
+const TRACKER_ID_RE = /^[a-z0-9][a-z0-9_-]{0,31}$/
+const trackerContext = new AsyncLocalStorage()
+const trackers = new Map() // id → tracker (files + runtime state)
+
+function trackerFiles(dir) {
+  return {
+    route: path.join(dir, "routeData.json"), // blijft dezelfde naam (maar kan NDJSON zijn)
+    routePublic: path.join(dir, "route_public.geojson"),
+    routePublicSimplified: path.join(dir, "route_public.simplified.geojson"),
+    location: path.join(dir, "locationData.json"),
+    altitude: path.join(dir, "altitudeData.json"),
+    temperature: path.join(dir, "temperatureData.json"),
+    routesets: path.join(dir, "routesets.json"),
+    rides: path.join(dir, "rides.json"),
+    buttonStates: path.join(dir, "buttonStates.json"),
+    buttonLog: path.join(dir, "buttonLog.ndjson"),
+    locationQueue: path.join(dir, "locationDelayed.ndjson"),
+    altitudeQueue: path.join(dir, "altitudeDelayed.ndjson"),
+    tileQueue: path.join(dir, "tilesDelayed.ndjson"), // tile-invalidaties die wachten op PUBLIC_DELAY_MS
+    stopPoiQueue: path.join(dir, "stopPoisDelayed.ndjson"), // automatische POIs die wachten op PUBLIC_DELAY_MS
+    routePaused: path.join(dir, "routePaused.ndjson"),
+    routeRaw: path.join(dir, "routeRaw.ndjson"),
+    filterPending: path.join(dir, "filterPending.json"), // look-ahead punt dat nog niet opgeslagen is
+    routeIndex: path.join(dir, "routeData.idx.json"),
+    routeInsertTail: path.join(dir, "routeData.insert.tail"), // nieuwe staart van een late insert
+    routeInsertJournal: path.join(dir, "routeData.insert.json"), // { offset, bytes }: staart nog niet toegepast
+    archives: path.join(dir, "archives.json"),
+    trash: path.join(dir, "trash.json"),
+    archiveDir: path.join(dir, "archive"),
+    tileDir: path.join(dir, "tiles"),
+    ingestDevices: path.join(dir, "ingestDevices.json"),
+    countryLog: path.join(dir, "countryLog.ndjson"),
+    routesetFile: (id) => path.join(dir, `routeset_${id}.json`),
+  }
+}
+
+// runtime state die vroeger module-globaal was (toen er 1 tracker was)
+function newTracker(id, dir) {
+  return {
+    id,
+    dir,
+    files: trackerFiles(dir),
+    started: false,
+    // route storage + ingest
+    routeFormat: "ndjson", // wordt gedetecteerd/gezet in init
+    lastRoutePoint: null, // alleen voor filteren; niet kritisch als null
+    filterState: {
+      prevRaw: null, // laatste niet-spike punt (ongefilterde coords)
+      pending: null, // wacht op look-ahead
+      pendingProfile: null,
+      pendingTimer: null,
+      fastStreak: [], // opeenvolgende "tooFast" punten
+      kalman: null, // { lat, lon, variance, t }
+    },
+    ingestDevices: null,
+    rotationInFlight: null,
+    routeIndex: null, // null = (nog) niet bruikbaar → volledige scan
+    routeIndexLoadSeq: 0,
+    routeRewriteSeq: 0, // +1 als de log midden in herschreven wordt (late insert)
+    // public GeoJSON + vertraging
+    lastPublicGeojsonAt: 0,
+    publicGeojsonTimer: null,
+    publicRouteState: null, // alleen geldig na een volledige NDJSON rebuild
+    publicFullRebuildReason: null, // gezet door zone-wijzigingen
+    publicRebuildQueue: Promise.resolve(),
+    publicRebuildRunning: false,
+    lateInsertTimer: null,
+    publicRebuildStats: { mode: null, reason: null, at: null, durationMs: null, points: 0, fullCount: 0, incrementalCount: 0 },
+    publicDelayTimer: null,
+    locationQueue: null,
+    altitudeQueue: null,
+    tileQueue: null,
+    stopPoiQueue: null,
+    // tiles
+    tileEpoch: 0, // ophogen bij elke invalidatie; een tile van een oudere epoch wordt niet gecachet
+    tileInvalidatePrev: null,
+    tileBuilds: new Map(), // "z/x/y" → { epoch, promise } (gelijktijdige misses delen één build)
+    tileStale: new Set(), // cache-paden die nog async weggegooid moeten worden (tellen als miss)
+    tileUnlinkRunning: false,
+    routesetBboxCache: new Map(), // id → { mtimeMs, bbox }
+    // knoppen + weer
+    buttonState: null,
+    modeWindowsCache: {}, // mode → [{ from, to|null }] in ms
+    countryLogCache: null, // [{ countryCode, t }] gesorteerd
+    stopDetector: null, // live stop-detectie (createStopDetector)
+    weatherInFlight: null,
+    lastWeatherFetchAt: 0,
+    lastWeatherLogAt: 0,
+  }
+}
+
+// tracker van de lopende request (of van de timer die daarbinnen gestart is); anders de default
+function tracker() {
+  return trackerContext.getStore() || getTracker(DEFAULT_TRACKER)
+}
+
+function readTrackerRegistry() {
+  const list = readJSON(path.join(DATA_DIR, "trackers.json"))
+  return Array.isArray(list) ? list.filter((t) => t && TRACKER_ID_RE.test(t.id) && t.id !== DEFAULT_TRACKER) : []
+}
+
+// null = onbekende (niet geregistreerde) tracker
+function getTracker(id) {
+  let t = trackers.get(id)
+  if (t) return t
+  if (id !== DEFAULT_TRACKER && !readTrackerRegistry().some((r) => r.id === id)) return null
+  t = newTracker(id, id === DEFAULT_TRACKER ? DATA_DIR : path.join(DATA_DIR, "trackers", id))
+  if (!fs.existsSync(t.dir)) fs.mkdirSync(t.dir, { recursive: true })
+  ensureTrackerFiles(t.files)
+  trackers.set(id, t)
+  return t
+}
+
+// fn in de context van elke gestarte tracker (periodieke jobs, gedeelde zones/POIs)
+function forEachTracker(fn) {
+  for (const t of trackers.values()) {
+    if (t.started) trackerContext.run(t, fn)
+  }
+}
+
+// gedeelde bestanden; de rest wijst naar de data-map van de actieve tracker
 const files = {
-  route: path.join(DATA_DIR, "routeData.json"), // blijft dezelfde naam (maar kan NDJSON zijn)
-  routePublic: path.join(DATA_DIR, "route_public.geojson"),
   pois: path.join(DATA_DIR, "pois.json"),
-  location: path.join(DATA_DIR, "locationData.json"),
-  altitude: path.join(DATA_DIR, "altitudeData.json"),
-  temperature: path.join(DATA_DIR, "temperatureData.json"),
   privacyZones: path.join(DATA_DIR, "privacyZones.json"),
-  routesets: path.join(DATA_DIR, "routesets.json"),
-  rides: path.join(DATA_DIR, "rides.json"),
-  buttonStates: path.join(DATA_DIR, "buttonStates.json"),
-  routesetFile: (id) => path.join(DATA_DIR, `routeset_${id}.json`),
+  trackers: path.join(DATA_DIR, "trackers.json"),
+  movementProfiles: path.join(DATA_DIR, "movementProfiles.json"),
+  apiKeys: path.join(DATA_DIR, "apiKeys.json"),
+  authLatch: path.join(DATA_DIR, "authEnforced.json"),
+}
+for (const key of Object.keys(trackerFiles(DATA_DIR))) {
+  Object.defineProperty(files, key, { enumerable: true, get: () => tracker().files[key] })
+}
+
+// boot per tracker: route state, index, rotaties, prullenbak en public file
+function startTracker(t) {
+  if (t.started) return
+  t.started = true
+  trackerContext.run(t, () => {
+    replayRouteInsertJournal()
+    initRouteState()
+    void loadRouteIndex()
+    void resumePendingRotations()
+    purgeExpiredTrash()
+    invalidateDueTiles() // wat tijdens de downtime rijp werd; de rest via de 10 s ronde
+    createDueStopPois()
+    restorePendingPoint()
+    try {
+      backfillRoutesetMeta()
+    } catch (e) {
+      console.error("❌ routeset metadata backfill failed:", e?.message || e)
+    }
+
+    // Zorg dat er een public geojson ligt (1x bij boot)
+    void rebuildPublicRouteGeoJSON().then(() => {
+      tracker().lastPublicGeojsonAt = Date.now()
+      scheduleDelayedPublicRebuild()
+    })
+  })
 }
 
+// /api/trackers/:id/<pad> → /api/<pad> (tiles: /tiles/...) binnen de context van die tracker.
+// Staat ná de body parsers: hun stream-callbacks zouden de AsyncLocalStorage context verliezen.
+app.use((req, res, next) => {
+  const m = req.url.match(/^\/api\/trackers\/([^/?]+)(\/.*)$/)
+  if (!m) return next()
+  const t = TRACKER_ID_RE.test(m[1]) ? getTracker(m[1]) : null
+  if (!t) return res.status(404).json({ error: "unknown tracker" })
+  // trackerbeheer is globaal; niet via een tracker-prefix (en geen geneste prefixes)
+  if (/^\/trackers(?:[/?]|$)/.test(m[2])) return res.status(404).json({ error: "not found" })
+  startTracker(t)
+  req.url = m[2].startsWith("/tiles/") ? m[2] : "/api" + m[2]
+  trackerContext.run(t, next)
+})
+
+app.get("/api/trackers", requireScope("public"), (_req, res) => {
+  const list = [{ id: DEFAULT_TRACKER, name: DEFAULT_TRACKER, createdAt: null }, ...readTrackerRegistry()]
+  res.json(list.map((t) => ({ ...t, default: t.id === DEFAULT_TRACKER })))
+})
+
+app.post("/api/trackers", requireScope("admin", { shared: true }), (req, res) => {
+  const id = String(req.body?.id || "").toLowerCase()
+  if (!TRACKER_ID_RE.test(id)) return res.status(400).json({ error: "id must match [a-z0-9][a-z0-9_-]{0,31}" })
+  const list = readTrackerRegistry()
+  if (id === DEFAULT_TRACKER || list.some((t) => t.id === id)) return res.status(409).json({ error: "tracker exists" })
+
+  const item = { id, name: (req.body?.name ?? id).toString(), createdAt: new Date().toISOString() }
+  list.push(item)
+  writeJSON(files.trackers, list)
+  startTracker(getTracker(id))
+  res.json({ ok: true, tracker: item })
+})
+
+// alleen uit de registratie; de data-map blijft staan (opnieuw aanmaken met hetzelfde id pakt hem weer op)
+app.delete("/api/trackers/:id", requireScope("admin", { shared: true }), (req, res) => {
+  const id = req.params.id
+  if (id === DEFAULT_TRACKER) return res.status(400).json({ error: "default tracker cannot be removed" })
+  const list = readTrackerRegistry()
+  const idx = list.findIndex((t) => t.id === id)
+  if (idx === -1) return res.status(404).json({ error: "not found" })
+  list.splice(idx, 1)
+  writeJSON(files.trackers, list)
+
+  const t = trackers.get(id)
+  if (t) {
+    for (const timer of [t.publicGeojsonTimer, t.publicDelayTimer, t.lateInsertTimer, t.filterState.pendingTimer]) {
+      if (timer) clearTimeout(timer)
+    }
+    trackers.delete(id)
+  }
+  res.json({ ok: true, dataDir: path.join(DATA_DIR, "trackers", id) })
+})
+
 function ensureFile(p, def) {
   if (!fs.existsSync(p)) fs.writeFileSync(p, JSON.stringify(def, null, 2), "utf-8")
 }
@@ -215,60 +438,510 @@ function writeJSON(p, obj) {
   }
 }
 
-// Init defaults (route wordt hieronder apart geregeld)
+// Init defaults (route wordt per tracker in initRouteState geregeld)
 ensureFile(files.pois, [])
-ensureFile(files.location, {})
-ensureFile(files.altitude, {})
-ensureFile(files.temperature, {})
 ensureFile(files.privacyZones, [])
-ensureFile(files.routesets, [])
-ensureFile(files.rides, [])
-ensureFile(files.buttonStates, { pause: false, privacy: false })
-ensureFile(files.routePublic, { type: "FeatureCollection", features: [] })
+ensureFile(files.trackers, [])
+ensureFile(files.apiKeys, [])
+
+function ensureTrackerFiles(f) {
+  ensureFile(f.location, {})
+  ensureFile(f.altitude, {})
+  ensureFile(f.temperature, {})
+  ensureFile(f.routesets, [])
+  ensureFile(f.rides, [])
+  ensureFile(f.buttonStates, { pause: false, privacy: false })
+  ensureFile(f.archives, [])
+  ensureFile(f.trash, [])
+  if (!fs.existsSync(f.archiveDir)) fs.mkdirSync(f.archiveDir, { recursive: true })
+  ensureFile(f.routePublic, { type: "FeatureCollection", features: [] })
+  ensureFile(f.routePublicSimplified, { type: "FeatureCollection", features: [] })
+}
 
 // ─────────────────────────────────────────────
-// Helpers
+// Auth: API keys + scopes
 // ─────────────────────────────────────────────
-function distanceMeters(lat1, lon1, lat2, lon2) {
-  const R = 6371e3
-  const toRad = (d) => (d * Math.PI) / 180
-  const dLat = toRad(lat2 - lat1)
-  const dLon = toRad(lon2 - lon1)
-  const a =
-    Math.sin(dLat / 2) ** 2 +
-    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) ** 2
-  return 2 * R * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a))
+// AUTH_MODE=auto (default): afdwingen zodra er ooit een key is geweest (authEnforced.json blijft
+//   staan, ook als de laatste key wordt ingetrokken) of als apiKeys.json onleesbaar is
+// AUTH_MODE=on / off: altijd / nooit afdwingen
+// AUTH_PUBLIC_OPEN=1 (default): public read-only endpoints werken zonder key (overlays)
+const AUTH_MODE = (process.env.AUTH_MODE || "auto").toLowerCase()
+const AUTH_PUBLIC_OPEN = process.env.AUTH_PUBLIC_OPEN !== "0"
+const API_KEYS_CACHE_TTL_MS = Number(process.env.API_KEYS_CACHE_TTL_MS || 10_000)
+
+// admin mag alles, ingest mag ook public lezen
+const SCOPE_GRANTS = {
+  admin: ["admin", "ingest", "public"],
+  ingest: ["ingest", "public"],
+  public: ["public"],
+}
+
+let apiKeysCache = { keys: [], enforce: false, loadedAt: 0 }
+
+function loadApiKeys() {
+  const now = Date.now()
+  if (now - apiKeysCache.loadedAt < API_KEYS_CACHE_TTL_MS) return apiKeysCache
+  const list = readJSON(files.apiKeys)
+  const keys = (Array.isArray(list) ? list : []).filter((k) => k && k.hash && !k.revokedAt)
+  // bestand bestaat maar is kapot → dicht, niet open
+  const unreadable = fs.existsSync(files.apiKeys) && !Array.isArray(list)
+  let enforce = unreadable || fs.existsSync(files.authLatch)
+  if (!enforce && Array.isArray(list) && list.length) {
+    writeJSON(files.authLatch, { since: new Date().toISOString() })
+    enforce = true
+  }
+  if (unreadable) console.error("❌ apiKeys.json is onleesbaar; auth blijft afgedwongen")
+  apiKeysCache = { keys, enforce, loadedAt: now }
+  return apiKeysCache
+}
+
+function getActiveApiKeys() {
+  return loadApiKeys().keys
+}
+
+function hashApiKey(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex")
+}
+
+function authEnforced() {
+  if (AUTH_MODE === "off") return false
+  if (AUTH_MODE === "on") return true
+  return loadApiKeys().enforce
+}
+
+function tokenFromRequest(req) {
+  const h = req.headers.authorization || ""
+  if (h.toLowerCase().startsWith("bearer ")) return h.slice(7).trim()
+  if (req.headers["x-api-key"]) return String(req.headers["x-api-key"]).trim()
+  // ?key=... voor browser sources die geen headers kunnen zetten
+  if (typeof req.query?.key === "string" && req.query.key) return req.query.key
+  return null
+}
+
+function apiKeyFromRequest(req) {
+  const token = tokenFromRequest(req)
+  if (!token) return null
+  const hash = hashApiKey(token)
+  return getActiveApiKeys().find((k) => k.hash === hash) || null
+}
+
+function keyHasScope(key, scope) {
+  return (key?.scopes || []).some((s) => (SCOPE_GRANTS[s] || []).includes(scope))
+}
+
+// key beperkt tot bepaalde trackers (bv. de ingest key van één streamer)
+const keyIsTrackerRestricted = (key) => Array.isArray(key?.trackers) && key.trackers.length > 0
+
+/**
+ * Express middleware: requireScope("admin") of requireScope((req) => scope)
+ * 401 = geen/ongeldige key, 403 = key zonder de juiste scope
+ * shared: endpoint wijzigt gedeelde/globale state (zones, POIs, profielen, trackers) →
+ * niet voor keys die tot bepaalde trackers beperkt zijn
+ */
+function requireScope(scopeOrFn, { shared = false } = {}) {
+  return (req, res, next) => {
+    if (!authEnforced()) return next()
+    const scope = typeof scopeOrFn === "function" ? scopeOrFn(req) : scopeOrFn
+    if (scope === "public" && AUTH_PUBLIC_OPEN) return next()
+
+    const key = apiKeyFromRequest(req)
+    if (!key) return res.status(401).json({ error: "unauthorized" })
+    if (!keyHasScope(key, scope)) return res.status(403).json({ error: "forbidden", scope })
+    if (keyIsTrackerRestricted(key)) {
+      if (shared) return res.status(403).json({ error: "forbidden", shared: true })
+      if (!key.trackers.includes(tracker().id)) return res.status(403).json({ error: "forbidden", tracker: tracker().id })
+    }
+    req.apiKey = { id: key.id, name: key.name, scopes: key.scopes, trackers: key.trackers || null }
+    next()
+  }
 }
 
+// ruwe (niet-geredacteerde) data vraagt admin, anders public
+const scopeForRedactQuery = (req) => (req.query.redact === "0" ? "admin" : "public")
+
+// ─────────────────────────────────────────────
+// Helpers
+// ─────────────────────────────────────────────
 function haversineKm(a, b) {
   return distanceMeters(a.lat, a.lon, b.lat, b.lon) / 1000
 }
 
+function pointTime(p) {
+  const t = p?.timestamp ? new Date(p.timestamp).getTime() : NaN
+  return Number.isFinite(t) ? t : null
+}
+
+// Normaliseert een binnenkomend punt naar de opgeslagen vorm; null bij ongeldige timestamp.
+// Zonder timestamp: "nu" (live ingest), of geen tijd bij keepUntimed (imports — geen nep-tijd verzinnen)
+function toRoutePoint(p, { keepUntimed = false } = {}) {
+  const point = { lat: +p.lat, lon: +p.lon }
+  if (p.timestamp || !keepUntimed) {
+    const ts = p.timestamp ? new Date(p.timestamp) : new Date()
+    if (!Number.isFinite(ts.getTime())) return null
+    point.timestamp = ts.toISOString()
+  }
+
+  if (typeof p.alt === "number" && isFinite(p.alt)) point.alt = p.alt
+  if (typeof p.heading === "number" && isFinite(p.heading)) point.heading = p.heading
+  if (typeof p.speedKmh === "number" && isFinite(p.speedKmh)) point.speedKmh = Math.round(p.speedKmh)
+  if (typeof p.accuracy === "number" && isFinite(p.accuracy) && p.accuracy >= 0) point.accuracy = p.accuracy
+  return point
+}
+
+// ─────────────────────────────────────────────
+// Track statistieken (incrementeel, dus stream-safe)
+// ─────────────────────────────────────────────
+const MOVING_MIN_KMH = Number(process.env.MOVING_MIN_KMH || 2)
+const ELEVATION_NOISE_M = Number(process.env.ELEVATION_NOISE_M || 3)
+
+// hoogtewinst/-verlies met ruisdrempel (GPS-hoogte springt nogal); alt → { gain, loss } voor dit punt
+function createElevationCounter() {
+  let low = null
+  let high = null
+  return (alt) => {
+    let gain = 0
+    let loss = 0
+    if (low === null || alt < low) {
+      low = alt
+    } else if (alt - low >= ELEVATION_NOISE_M) {
+      gain = alt - low
+      low = alt
+    }
+    if (high === null || alt > high) {
+      high = alt
+    } else if (high - alt >= ELEVATION_NOISE_M) {
+      loss = high - alt
+      high = alt
+    }
+    return { gain, loss }
+  }
+}
+
+/**
+ * Stats-accumulator:
+ * - add(p) per punt (chronologisch)
+ * - result() geeft afstand, duur, rijtijd, snelheden en hoogtewinst
+ */
+function createTrackStats() {
+  let count = 0
+  let distanceM = 0
+  let movingMs = 0
+  let maxSpeedKmh = 0
+  let elevationGainM = 0
+  let firstT = null
+  let lastT = null
+  let prev = null
+  const elevation = createElevationCounter()
+
+  function add(p) {
+    const t = pointTime(p)
+    count++
+
+    if (t !== null) {
+      if (firstT === null) firstT = t
+      lastT = t
+    }
+
+    if (typeof p.speedKmh === "number" && isFinite(p.speedKmh)) {
+      maxSpeedKmh = Math.max(maxSpeedKmh, p.speedKmh)
+    }
+
+    if (prev) {
+      const dist = distanceMeters(prev.lat, prev.lon, p.lat, p.lon)
+      distanceM += dist
+      const prevT = pointTime(prev)
+      if (t !== null && prevT !== null && t > prevT) {
+        const dt = t - prevT
+        const speed = (dist / (dt / 1000)) * 3.6
+        if (speed >= MOVING_MIN_KMH) movingMs += dt
+        // alleen berekende snelheid als het device zelf niks meestuurde
+        if (typeof p.speedKmh !== "number") maxSpeedKmh = Math.max(maxSpeedKmh, speed)
+      }
+    }
+
+    if (typeof p.alt === "number" && isFinite(p.alt)) elevationGainM += elevation(p.alt).gain
+
+    prev = p
+  }
+
+  function result() {
+    const durationSec = firstT !== null && lastT !== null ? Math.round((lastT - firstT) / 1000) : 0
+    const movingTimeSec = Math.round(movingMs / 1000)
+    return {
+      count,
+      distanceM: Math.round(distanceM),
+      durationSec,
+      movingTimeSec,
+      maxSpeedKmh: Math.round(maxSpeedKmh * 10) / 10,
+      avgSpeedKmh: durationSec ? Math.round((distanceM / durationSec) * 3.6 * 10) / 10 : 0,
+      avgMovingSpeedKmh: movingTimeSec ? Math.round((distanceM / movingTimeSec) * 3.6 * 10) / 10 : 0,
+      elevationGainM: Math.round(elevationGainM),
+      startTime: firstT !== null ? new Date(firstT).toISOString() : null,
+      endTime: lastT !== null ? new Date(lastT).toISOString() : null,
+    }
+  }
+
+  return { add, result }
+}
+
 // ─────────────────────────────────────────────
 // Privacy zones caching (scheelt disk IO)
 // ─────────────────────────────────────────────
+// Zone = cirkel { lat, lon, radius } of polygoon { polygon: GeoJSON Polygon }, plus mode:
+// - drop (default): punt wordt niet opgeslagen / niet gepubliceerd
+// - snap: public punt op de rand van de zone
+// - fuzz: public punt op grid van gridM (default PRIVACY_FUZZ_M)
+// - delay: public pas delayMinutes na de timestamp van het punt
 const PRIVACY_CACHE_TTL_MS = Number(process.env.PRIVACY_CACHE_TTL_MS || 10_000)
-let privacyCache = { zones: [], loadedAt: 0 }
+const PRIVACY_ZONE_MAX_RADIUS_M = Number(process.env.PRIVACY_ZONE_MAX_RADIUS_M || 50_000)
+// grid-celgrootte in graden (zie lib/privacy-zones.js)
+const PRIVACY_GRID_DEG = Number(process.env.PRIVACY_GRID_DEG || 0.05)
+let privacyCache = { zones: [], grid: null, sig: "", loadedAt: 0 }
 
-function getPrivacyZones() {
+function refreshPrivacyCache() {
   const now = Date.now()
-  if (now - privacyCache.loadedAt < PRIVACY_CACHE_TTL_MS) return privacyCache.zones
-  const zones = readJSON(files.privacyZones) || []
-  privacyCache = { zones, loadedAt: now }
-  return zones
+  if (now - privacyCache.loadedAt < PRIVACY_CACHE_TTL_MS) return privacyCache
+  const list = readJSON(files.privacyZones) || []
+  const zones = (Array.isArray(list) ? list : [])
+    .filter((z) => z && (z.polygon?.coordinates || (typeof z.lat === "number" && typeof z.lon === "number")))
+    .map(compilePrivacyZone)
+  // sig: verandert bij elke wijziging van de zones (incrementele public rebuild → dan volledig)
+  const sig = crypto.createHash("sha1").update(JSON.stringify(list)).digest("hex")
+  privacyCache = { zones, grid: buildPrivacyGrid(zones, { gridDeg: PRIVACY_GRID_DEG }), sig, loadedAt: now }
+  return privacyCache
+}
+
+function getPrivacyZones() {
+  return refreshPrivacyCache().zones
+}
+
+// kandidaat-zones voor een punt (grid-cel + wide); exacte check blijft zoneContains
+function privacyZoneCandidates(lat, lon) {
+  return gridCandidates(refreshPrivacyCache().grid, lat, lon)
+}
+
+// strengste zone waar het punt in valt, of null
+function privacyZoneFor(lat, lon) {
+  let hit = null
+  for (const z of privacyZoneCandidates(lat, lon)) {
+    if (!zoneContains(z, lat, lon)) continue
+    if (!hit || PRIVACY_MODE_RANK[z.mode] > PRIVACY_MODE_RANK[hit.mode]) hit = z
+    if (hit.mode === "drop") break
+  }
+  return hit
 }
 
 function inPrivacyZone(lat, lon) {
-  const zones = getPrivacyZones()
-  return zones.some((z) => distanceMeters(lat, lon, z.lat, z.lon) <= z.radius)
+  return privacyZoneFor(lat, lon) !== null
+}
+
+// alleen drop-zones houden punten bij ingest/import tegen; andere modes worden bij publicatie toegepast
+function inDropZone(lat, lon) {
+  return privacyZoneFor(lat, lon)?.mode === "drop"
+}
+
+// dichtstbijzijnde punt op de zonerand (lokale equirectangular projectie, prima op zone-schaal)
+function snapToZoneEdge(z, lat, lon) {
+  const mPerLat = 111_320
+  const mPerLon = 111_320 * Math.max(0.01, Math.cos((lat * Math.PI) / 180))
+
+  if (!z.rings) {
+    const dx = (lon - z.lon) * mPerLon
+    const dy = (lat - z.lat) * mPerLat
+    const d = Math.hypot(dx, dy)
+    // precies in het midden: kies het noorden
+    const [ux, uy] = d > 0 ? [dx / d, dy / d] : [0, 1]
+    return { lat: z.lat + (uy * z.radius) / mPerLat, lon: z.lon + (ux * z.radius) / mPerLon }
+  }
+
+  let best = null
+  let bestD = Infinity
+  for (const ring of z.rings) {
+    for (let i = 1; i < ring.length; i++) {
+      const ax = (ring[i - 1][0] - lon) * mPerLon
+      const ay = (ring[i - 1][1] - lat) * mPerLat
+      const bx = (ring[i][0] - lon) * mPerLon
+      const by = (ring[i][1] - lat) * mPerLat
+      const len2 = (bx - ax) ** 2 + (by - ay) ** 2
+      const t = len2 ? Math.max(0, Math.min(1, -(ax * (bx - ax) + ay * (by - ay)) / len2)) : 0
+      const px = ax + t * (bx - ax)
+      const py = ay + t * (by - ay)
+      const d = Math.hypot(px, py)
+      if (d < bestD) {
+        bestD = d
+        best = { lat: lat + py / mPerLat, lon: lon + px / mPerLon }
+      }
+    }
+  }
+  return best
+}
+
+// afstand (m) van een punt tot de zone, 0 als het erin ligt
+function zoneDistanceMeters(z, lat, lon) {
+  if (zoneContains(z, lat, lon)) return 0
+  const edge = snapToZoneEdge(z, lat, lon)
+  return distanceMeters(lat, lon, edge.lat, edge.lon)
+}
+
+// een zone binnen marginM van het punt (erin of net erbuiten), of null; bbox eerst, met de marge erbij
+function privacyZoneNear(lat, lon, marginM) {
+  const dLat = marginM / 111_320
+  const dLon = marginM / (111_320 * Math.max(0.01, Math.cos((lat * Math.PI) / 180)))
+  return (
+    getPrivacyZones().find((z) => {
+      const [minLon, minLat, maxLon, maxLat] = z.bbox
+      if (lon < minLon - dLon || lon > maxLon + dLon || lat < minLat - dLat || lat > maxLat + dLat) return false
+      return zoneDistanceMeters(z, lat, lon) < marginM
+    }) || null
+  )
+}
+
+/**
+ * Public vorm van een punt binnen een zone, of null als het (nog) niet gepubliceerd mag worden.
+ * Punten buiten zones komen ongewijzigd terug.
+ */
+function applyPrivacyZone(p, now = Date.now()) {
+  const z = privacyZoneFor(p.lat, p.lon)
+  if (!z) return p
+  if (z.mode === "snap") {
+    const edge = snapToZoneEdge(z, p.lat, p.lon)
+    return { ...p, lat: Math.round(edge.lat * 1e6) / 1e6, lon: Math.round(edge.lon * 1e6) / 1e6 }
+  }
+  if (z.mode === "fuzz") return { ...p, ...fuzzLocation(p.lat, p.lon, z.gridM || PRIVACY_FUZZ_M) }
+  if (z.mode === "delay") {
+    const t = pointTime(p)
+    return t !== null && now - t >= (z.delayMinutes || 0) * 60_000 ? p : null
+  }
+  return null
+}
+
+// ─────────────────────────────────────────────
+// Pauze / privacy modus (knoppen) + toggle-log
+// ─────────────────────────────────────────────
+// PAUSE_MODE=buffer (default): punten tijdens pauze naar routePaused.ndjson (via /api/route/paused
+//   alsnog in de route zetten of weggooien), =drop: weggooien
+// PRIVACY_MODE=freeze (default): public locatie bevriest, =fuzz: public locatie op grid van PRIVACY_FUZZ_M
+const PAUSE_MODE = (process.env.PAUSE_MODE || "buffer").toLowerCase()
+const PRIVACY_MODE = (process.env.PRIVACY_MODE || "freeze").toLowerCase()
+const PRIVACY_FUZZ_M = Number(process.env.PRIVACY_FUZZ_M || 2000)
+
+function getButtonStates() {
+  if (!tracker().buttonState) {
+    const s = readJSON(files.buttonStates) || {}
+    const state = {
+      pause: !!s.pause,
+      privacy: !!s.privacy,
+      pauseChangedAt: s.pauseChangedAt || null,
+      privacyChangedAt: s.privacyChangedAt || null,
+    }
+    // buttonStates.json van vóór de timestamps: aan sinds (uiterlijk) de laatste keer dat de file
+    // geschreven is, niet sinds 1970 (dan zou de hele historie uit de public outputs verdwijnen)
+    const missing = ["pause", "privacy"].filter((mode) => state[mode] && !state[`${mode}ChangedAt`])
+    if (missing.length) {
+      let since = new Date()
+      try {
+        since = fs.statSync(files.buttonStates).mtime
+      } catch {}
+      for (const mode of missing) state[`${mode}ChangedAt`] = since.toISOString()
+      writeJSON(files.buttonStates, state)
+    }
+    tracker().buttonState = state
+  }
+  return tracker().buttonState
+}
+
+function readButtonLog() {
+  const out = []
+  try {
+    const text = fs.readFileSync(files.buttonLog, "utf-8")
+    for (const line of text.split(/\r?\n/)) {
+      const e = line.trim() ? safeParseJSONLine(line) : null
+      if (e && e.mode && e.at) out.push(e)
+    }
+  } catch {}
+  return out
+}
+
+/**
+ * Zet pauze/privacy; elke echte wijziging krijgt een timestamp en een regel in buttonLog.ndjson,
+ * zodat de gaten later terug te vinden zijn.
+ */
+function setButtonStates(next) {
+  const prev = getButtonStates()
+  const nowIso = new Date().toISOString()
+  const state = { ...prev }
+
+  for (const mode of ["pause", "privacy"]) {
+    const value = !!next[mode]
+    if (value === prev[mode]) continue
+    state[mode] = value
+    state[`${mode}ChangedAt`] = nowIso
+    fs.appendFileSync(files.buttonLog, JSON.stringify({ mode, value, at: nowIso }) + "\n", "utf-8")
+    delete tracker().modeWindowsCache[mode]
+  }
+
+  writeJSON(files.buttonStates, state)
+  tracker().buttonState = state
+  return state
+}
+
+// Perioden waarin pauze/privacy aan stond (uit buttonLog.ndjson)
+function getModeWindows(mode) {
+  if (tracker().modeWindowsCache[mode]) return tracker().modeWindowsCache[mode]
+  const windows = []
+  let open = null
+  for (const e of readButtonLog()) {
+    if (e.mode !== mode) continue
+    const t = new Date(e.at).getTime()
+    if (e.value && open === null) open = t
+    if (!e.value && open !== null) {
+      windows.push({ from: open, to: t })
+      open = null
+    }
+  }
+  // nog aan (of aan gezet vóór er een log was; getButtonStates vult dan een ChangedAt in)
+  const state = getButtonStates()
+  if (open === null && state[mode]) open = new Date(state[`${mode}ChangedAt`]).getTime()
+  if (open !== null) windows.push({ from: open, to: null })
+  tracker().modeWindowsCache[mode] = windows
+  return windows
+}
+
+function getPrivacyWindows() {
+  return getModeWindows("privacy")
+}
+
+function inPrivacyWindow(t) {
+  if (t === null) return false
+  return getPrivacyWindows().some((w) => t >= w.from && (w.to === null || t <= w.to))
+}
+
+// PUBLIC_DELAY_MINUTES: public outputs lopen zoveel minuten achter op de echte positie
+// (admin endpoints blijven real-time)
+const PUBLIC_DELAY_MS = Math.max(0, Number(process.env.PUBLIC_DELAY_MINUTES || 0)) * 60_000
+
+// Public redactie voor routepunten: nog niet vrijgegeven (delay), privacy zone (per mode)
+// óf opgenomen terwijl privacy-modus aan stond. Geeft het te publiceren punt terug, of null.
+function redactPoint(p, now = Date.now()) {
+  const t = pointTime(p)
+  if (PUBLIC_DELAY_MS && (t === null || now - t < PUBLIC_DELAY_MS)) return null
+  if (inPrivacyWindow(t)) return null
+  return applyPrivacyZone(p, now)
+}
+
+function fuzzLocation(lat, lon, gridM = PRIVACY_FUZZ_M) {
+  const latStep = gridM / 111_320
+  const lonStep = gridM / (111_320 * Math.max(0.01, Math.cos((lat * Math.PI) / 180)))
+  return {
+    lat: Math.round((Math.floor(lat / latStep) + 0.5) * latStep * 1e5) / 1e5,
+    lon: Math.round((Math.floor(lon / lonStep) + 0.5) * lonStep * 1e5) / 1e5,
+  }
 }
 
 // ─────────────────────────────────────────────
 // Route storage (auto/json/ndjson) — bestandsnaam blijft routeData.json
 // ─────────────────────────────────────────────
 const ROUTE_STORAGE = (process.env.ROUTE_STORAGE || "auto").toLowerCase() // auto|json|ndjson
-let routeFormat = "ndjson" // wordt gedetecteerd/gezet in init
-let lastRoutePoint = null // alleen voor filteren; niet kritisch als null
 
 function detectRouteFormat(p) {
   if (ROUTE_STORAGE === "json") return "json"
@@ -326,768 +999,5426 @@ function readLastNonEmptyLine(filePath, maxBytes = 128 * 1024) {
 
 function initRouteState() {
   ensureRouteFile()
-  routeFormat = detectRouteFormat(files.route)
+  tracker().routeFormat = detectRouteFormat(files.route)
 
-  if (routeFormat === "ndjson") {
+  if (tracker().routeFormat === "ndjson") {
     const lastLine = readLastNonEmptyLine(files.route)
     const last = lastLine ? safeParseJSONLine(lastLine) : null
     if (last && typeof last.lat === "number" && typeof last.lon === "number") {
-      lastRoutePoint = last
+      tracker().lastRoutePoint = last
     }
   } else {
     // legacy JSON-array — alleen proberen voor “last point”
     const arr = readJSON(files.route)
-    if (Array.isArray(arr) && arr.length) lastRoutePoint = arr[arr.length - 1]
+    if (Array.isArray(arr) && arr.length) tracker().lastRoutePoint = arr[arr.length - 1]
   }
 
-  console.log(`🧭 routeData.json storage: ${routeFormat.toUpperCase()} (ROUTE_STORAGE=${ROUTE_STORAGE})`)
+  const t = tracker()
+  const label = t.id === DEFAULT_TRACKER ? "" : ` [tracker ${t.id}]`
+  console.log(`🧭 routeData.json storage: ${t.routeFormat.toUpperCase()} (ROUTE_STORAGE=${ROUTE_STORAGE})${label}`)
 }
 
-async function streamRoutePointsNdjson({ redact = false, onPoint }) {
-  if (!fs.existsSync(files.route)) return
-  const rs = fs.createReadStream(files.route, { encoding: "utf-8" })
-  const rl = readline.createInterface({ input: rs, crlfDelay: Infinity })
-  for await (const line of rl) {
-    const l = line.trim()
-    if (!l) continue
-    const p = safeParseJSONLine(l)
-    if (!p) continue
-    if (typeof p.lat !== "number" || typeof p.lon !== "number") continue
-    if (redact && inPrivacyZone(p.lat, p.lon)) continue
-    await onPoint(p)
-  }
-}
+/**
+ * Leest regels uit [start, end) met byte-offsets (readline kent geen offsets).
+ * onLine(line, lineStart, lineEnd) mag `false` teruggeven om te stoppen.
+ */
+async function readLinesWithOffsets(file, { start = 0, end = Infinity, onLine }) {
+  if (end <= start) return
+  const rs = fs.createReadStream(file, { start, end: end === Infinity ? undefined : end - 1 })
+  let carry = Buffer.alloc(0)
+  let pos = start // file offset van carry[0]
 
-function appendRoutePointNdjson(point) {
-  fs.appendFileSync(files.route, JSON.stringify(point) + "\n", "utf-8")
+  try {
+    for await (const chunk of rs) {
+      const buf = carry.length ? Buffer.concat([carry, chunk]) : chunk
+      let i0 = 0
+      let nl
+      while ((nl = buf.indexOf(10, i0)) !== -1) {
+        const cont = await onLine(buf.toString("utf-8", i0, nl), pos + i0, pos + nl + 1)
+        if (cont === false) return
+        i0 = nl + 1
+      }
+      carry = buf.subarray(i0)
+      pos += i0
+    }
+    if (carry.length) await onLine(carry.toString("utf-8"), pos, pos + carry.length)
+  } finally {
+    rs.destroy()
+  }
 }
 
-async function streamRouteAsJsonArray(res, { redact = false } = {}) {
-  res.setHeader("Content-Type", "application/json; charset=utf-8")
-  res.setHeader("Cache-Control", "no-cache")
-  res.write("[")
-  let first = true
-
-  if (routeFormat === "ndjson") {
-    await streamRoutePointsNdjson({
-      redact,
-      onPoint: async (p) => {
-        if (!first) res.write(",")
-        first = false
-        res.write(JSON.stringify(p))
+/**
+ * Streamt punten uit een NDJSON bestand.
+ * - ranges: [[start, end], ...] byte ranges (default: hele file)
+ * - onPoint(p, lineEnd) mag `false` teruggeven om te stoppen
+ */
+async function streamRoutePointsNdjson({ redact = false, onPoint, file = files.route, ranges = null }) {
+  if (!fs.existsSync(file)) return
+  for (const [start, end] of ranges || [[0, Infinity]]) {
+    let stopped = false
+    await readLinesWithOffsets(file, {
+      start,
+      end,
+      onLine: async (line, _lineStart, lineEnd) => {
+        const l = line.trim()
+        if (!l) return
+        let p = safeParseJSONLine(l)
+        if (!p) return
+        if (typeof p.lat !== "number" || typeof p.lon !== "number") return
+        if (redact && !(p = redactPoint(p))) return
+        if ((await onPoint(p, lineEnd)) === false) {
+          stopped = true
+          return false
+        }
       },
     })
-  } else {
-    const arr = readJSON(files.route) || []
-    for (const p of arr) {
-      if (!p || typeof p.lat !== "number" || typeof p.lon !== "number") continue
-      if (redact && inPrivacyZone(p.lat, p.lon)) continue
-      if (!first) res.write(",")
-      first = false
-      res.write(JSON.stringify(p))
-    }
+    if (stopped) return
   }
+}
 
-  res.end("]")
+// ─────────────────────────────────────────────
+// Route rotatie + archief (archive/*.ndjson.gz, manifest in archives.json)
+// ─────────────────────────────────────────────
+// ROUTE_ROTATE=off (default) | size | day | ride
+// - size: zodra routeData.json > ROUTE_ROTATE_MAX_MB
+// - day:  zodra het oudste punt van een eerdere (lokale) dag is dan nu
+// - ride: bij /api/rides/stop
+// Reads vanaf het begin (met of zonder from/to) lezen archieven transparant mee, ook een log die
+// nog gearchiveerd wordt (routeData.rotating-*). Public file, exports, segmenten en tiles tonen zo
+// de hele historie.
+const ROUTE_ROTATE = (process.env.ROUTE_ROTATE || "off").toLowerCase()
+const ROUTE_ROTATE_MAX_MB = Number(process.env.ROUTE_ROTATE_MAX_MB || 50)
+const ROTATING_PREFIX = "routeData.rotating-"
+
+function readArchives() {
+  const list = readJSON(files.archives)
+  return Array.isArray(list) ? list : []
 }
 
-async function streamRouteAsGeoJSON(res, { redact = true } = {}) {
-  res.setHeader("Content-Type", "application/geo+json; charset=utf-8")
-  res.setHeader("Cache-Control", "no-cache")
+// chronologisch; archieven zonder tijd altijd meenemen
+function archivesForRange(from = null, to = null) {
+  return readArchives()
+    .filter((a) => {
+      const aFrom = a.from ? new Date(a.from).getTime() : null
+      const aTo = a.to ? new Date(a.to).getTime() : null
+      if (aFrom === null || aTo === null) return true
+      return (to === null || aFrom <= to) && (from === null || aTo >= from)
+    })
+    .sort((a, b) => String(a.from).localeCompare(String(b.from)))
+}
 
-  // We schrijven pas een feature als we zeker 2 coords hebben.
-  res.write('{"type":"FeatureCollection","features":[')
+// "rotating-<ms>": id van een losgekoppelde log, ook bewaard als `source` in zijn archief-entry
+function rotatingId(file) {
+  return "rotating-" + file.slice(ROTATING_PREFIX.length).replace(/\.ndjson$/, "")
+}
 
-  let startedFeature = false
-  let buffered = [] // max 2 coords strings
-  let firstCoordWritten = false
+function listRotatingFiles() {
+  return fs
+    .readdirSync(tracker().dir)
+    .filter((f) => f.startsWith(ROTATING_PREFIX) && f.endsWith(".ndjson"))
+    .sort()
+}
 
-  const startFeature = () => {
-    res.write(
-      '{"type":"Feature","properties":{"source":"routeData.json","redact":' +
-        (redact ? "true" : "false") +
-        '},"geometry":{"type":"LineString","coordinates":['
-    )
-    // flush buffered coords
-    res.write(buffered[0])
-    res.write(",")
-    res.write(buffered[1])
-    firstCoordWritten = true
-    startedFeature = true
-  }
+/**
+ * Alles van vóór de live log, chronologisch: archieven plus logs die nog gearchiveerd worden.
+ * Zo'n rotating entry ({ id, rotating: true }) wordt bij het lezen zelf zijn archief als dat
+ * intussen klaar is; volgnummers (cursor) zijn in beide gelijk.
+ */
+function archivedRouteSources(from = null, to = null) {
+  const rotating = listRotatingFiles() // eerst: archiveren registreert pas en verwijdert daarna
+  const archives = readArchives()
+  const done = new Set(archives.map((a) => a.source).filter(Boolean))
+  return [
+    ...archivesForRange(from, to),
+    ...rotating.filter((f) => !done.has(rotatingId(f))).map((f) => ({ id: rotatingId(f), file: f, rotating: true })),
+  ]
+}
 
-  const writeCoord = (coordStr) => {
-    if (!startedFeature) {
-      buffered.push(coordStr)
-      if (buffered.length === 2) startFeature()
-      return
-    }
-    // feature al gestart
-    res.write(",")
-    res.write(coordStr)
-  }
+function isArchiveSource(a, id) {
+  return a.id === id || a.source === id
+}
 
-  const onPoint = async (p) => {
-    const coordStr = `[${+p.lon},${+p.lat}]`
-    writeCoord(coordStr)
+// onPoint(p, n): n = volgnummer van het punt in het archief (vóór redactie); skip slaat de eerste n over
+async function streamArchivePoints(archive, { redact = false, onPoint, skip = 0 }) {
+  if (archive.rotating && !fs.existsSync(path.join(tracker().dir, archive.file))) {
+    archive = readArchives().find((a) => a.source === archive.id)
+    if (!archive) return
   }
-
-  if (routeFormat === "ndjson") {
-    await streamRoutePointsNdjson({ redact, onPoint })
-  } else {
-    const arr = readJSON(files.route) || []
-    for (const p of arr) {
+  const fp = archive.rotating ? path.join(tracker().dir, archive.file) : path.join(files.archiveDir, archive.file)
+  if (!fs.existsSync(fp)) return
+  let n = 0
+  const rs = fs.createReadStream(fp)
+  const rl = readline.createInterface({ input: archive.rotating ? rs : rs.pipe(zlib.createGunzip()), crlfDelay: Infinity })
+  try {
+    for await (const line of rl) {
+      const l = line.trim()
+      if (!l) continue
+      let p = safeParseJSONLine(l)
       if (!p || typeof p.lat !== "number" || typeof p.lon !== "number") continue
-      if (redact && inPrivacyZone(p.lat, p.lon)) continue
-      await onPoint(p)
+      if (++n <= skip) continue
+      if (redact && !(p = redactPoint(p))) continue
+      if ((await onPoint(p, n)) === false) return
     }
+  } finally {
+    rl.close()
+    rs.destroy()
   }
+}
 
-  if (!startedFeature) {
-    // < 2 coords
-    return res.end("]}")
-  }
-
-  // sluit feature + fc
-  res.end("]}}]}")
+function compactStamp(t) {
+  return new Date(t).toISOString().replace(/[-:]/g, "").replace(/\..*$/, "").replace("T", "")
 }
 
-// ─────────────────────────────────────────────
-// Public GeoJSON file: debounced rebuild (scheelt IO bij grote routes)
-// ─────────────────────────────────────────────
-const PUBLIC_GEOJSON_MIN_INTERVAL_MS = Number(process.env.PUBLIC_GEOJSON_MIN_INTERVAL_MS || 30_000)
-let lastPublicGeojsonAt = 0
-let publicGeojsonTimer = null
+// Comprimeert een losgekoppelde log naar archive/ en registreert hem in archives.json
+async function archiveRotatingFile(srcPath, reason) {
+  let count = 0
+  let minT = null
+  let maxT = null
+  let bbox = null
+
+  const tmpGz = path.join(files.archiveDir, path.basename(srcPath) + ".gz.tmp")
+  const gzip = zlib.createGzip()
+  const ws = fs.createWriteStream(tmpGz)
+  gzip.pipe(ws)
+  const finished = new Promise((resolve, reject) => {
+    ws.on("finish", resolve)
+    ws.on("error", reject)
+  })
+
+  const rl = readline.createInterface({ input: fs.createReadStream(srcPath, { encoding: "utf-8" }), crlfDelay: Infinity })
+  for await (const line of rl) {
+    const l = line.trim()
+    if (!l) continue
+    const p = safeParseJSONLine(l)
+    if (!p || typeof p.lat !== "number" || typeof p.lon !== "number") continue
+    const t = pointTime(p)
+    if (t !== null) {
+      minT = minT === null ? t : Math.min(minT, t)
+      maxT = maxT === null ? t : Math.max(maxT, t)
+    }
+    bbox = bbox
+      ? [Math.min(bbox[0], p.lon), Math.min(bbox[1], p.lat), Math.max(bbox[2], p.lon), Math.max(bbox[3], p.lat)]
+      : [p.lon, p.lat, p.lon, p.lat]
+    count++
+    if (!gzip.write(l + "\n")) await new Promise((resolve) => gzip.once("drain", resolve))
+  }
+  gzip.end()
+  await finished
+
+  const id = crypto.randomBytes(4).toString("hex")
+  const file = `route_${minT !== null ? compactStamp(minT) : "unknown"}_${maxT !== null ? compactStamp(maxT) : "unknown"}_${id}.ndjson.gz`
+  fs.renameSync(tmpGz, path.join(files.archiveDir, file))
+
+  const entry = {
+    id,
+    file,
+    from: minT !== null ? new Date(minT).toISOString() : null,
+    to: maxT !== null ? new Date(maxT).toISOString() : null,
+    count,
+    bbox,
+    bytes: fileSize(path.join(files.archiveDir, file)),
+    source: rotatingId(path.basename(srcPath)),
+    reason,
+    createdAt: new Date().toISOString(),
+  }
+  const list = readArchives()
+  list.push(entry)
+  writeJSON(files.archives, list)
+  fs.unlinkSync(srcPath)
+
+  console.log(`🗜️ route gearchiveerd: ${file} (${count} punten, ${reason})`)
+  return entry
+}
+
+/**
+ * Koppelt routeData.json los (rename → nieuwe lege file) en archiveert hem daarna async.
+ * Het losgekoppelde bestand blijft staan tot het archief compleet is (crash-safe, zie boot).
+ */
+async function rotateRouteLog(reason) {
+  if (tracker().routeFormat !== "ndjson") return { ok: false, error: "rotation requires NDJSON storage" }
+  if (tracker().rotationInFlight) return { ok: false, error: "rotation already running" }
+  if (!fileSize(files.route)) return { ok: false, error: "route log is empty" }
+
+  const srcPath = path.join(tracker().dir, `${ROTATING_PREFIX}${Date.now()}.ndjson`)
+  fs.renameSync(files.route, srcPath)
+  fs.writeFileSync(files.route, "", "utf-8")
+  resetRouteIndex()
+  schedulePublicRouteRebuild()
+
+  tracker().rotationInFlight = archiveRotatingFile(srcPath, reason)
+  try {
+    const archive = await tracker().rotationInFlight
+    return { ok: true, archive }
+  } catch (e) {
+    console.error("❌ route archive failed:", e?.message || e)
+    return { ok: false, error: "archive failed" }
+  } finally {
+    tracker().rotationInFlight = null
+  }
+}
+
+function readFirstRoutePoint() {
+  try {
+    const fd = fs.openSync(files.route, "r")
+    const buf = Buffer.alloc(4096)
+    const n = fs.readSync(fd, buf, 0, buf.length, 0)
+    fs.closeSync(fd)
+    const line = buf.toString("utf-8", 0, n).split(/\r?\n/).find((l) => l.trim())
+    return line ? safeParseJSONLine(line.trim()) : null
+  } catch {
+    return null
+  }
+}
+
+function maybeRotateRoute() {
+  if (ROUTE_ROTATE === "off" || tracker().routeFormat !== "ndjson" || tracker().rotationInFlight) return
+
+  if (ROUTE_ROTATE === "size") {
+    if (fileSize(files.route) < ROUTE_ROTATE_MAX_MB * 1024 * 1024) return
+    void rotateRouteLog("size")
+    return
+  }
+
+  if (ROUTE_ROTATE === "day") {
+    const first = readFirstRoutePoint()
+    const t = first ? pointTime(first) : null
+    if (t === null) return
+    if (new Date(t).toDateString() === new Date().toDateString()) return
+    void rotateRouteLog("day")
+  }
+}
+
+// Na een crash tijdens archiveren: losgekoppelde logs alsnog afmaken
+async function resumePendingRotations() {
+  const done = new Set(readArchives().map((a) => a.source).filter(Boolean))
+  for (const f of listRotatingFiles()) {
+    try {
+      // crash tussen registreren en verwijderen: archief is er al
+      if (done.has(rotatingId(f))) {
+        fs.unlinkSync(path.join(tracker().dir, f))
+        continue
+      }
+      await archiveRotatingFile(path.join(tracker().dir, f), "resume")
+    } catch (e) {
+      console.error("❌ resume rotation failed:", f, e?.message || e)
+    }
+  }
+}
+
+if (ROUTE_ROTATE === "day") setInterval(() => forEachTracker(maybeRotateRoute), 5 * 60_000).unref()
+
+// ─────────────────────────────────────────────
+// Route tijd-index (sidecar routeData.idx.json) + query params
+// ─────────────────────────────────────────────
+// Per blok van ROUTE_INDEX_BLOCK regels: byte range + min/max tijd + bbox. Zo hoeft een
+// from/to query (of een vector tile) niet de hele NDJSON door. Blokken zijn niet afhankelijk van sortering.
+const ROUTE_INDEX_BLOCK = Number(process.env.ROUTE_INDEX_BLOCK || 1000)
+const ROUTE_QUERY_MAX_LIMIT = Number(process.env.ROUTE_QUERY_MAX_LIMIT || 100_000)
+
+function fileSize(p) {
+  try {
+    return fs.statSync(p).size
+  } catch {
+    return 0
+  }
+}
+
+// [start, start + length) als Buffer, zonder de hele file in te lezen
+function readFileBytes(p, start, length) {
+  const buf = Buffer.alloc(Math.max(0, length))
+  if (!buf.length) return buf
+  const fd = fs.openSync(p, "r")
+  try {
+    const n = fs.readSync(fd, buf, 0, buf.length, start)
+    return buf.subarray(0, n)
+  } finally {
+    fs.closeSync(fd)
+  }
+}
+
+function newIndexTail(start) {
+  // last/lastStart: laatste punt van het blok (voor segmenten die over de blokgrens heen lopen)
+  return { start, minT: null, maxT: null, count: 0, bbox: null, last: null, lastStart: null }
+}
+
+function newRouteIndex() {
+  return { generation: crypto.randomBytes(4).toString("hex"), blocks: [], tail: newIndexTail(0), bytes: 0 }
+}
+
+// geeft true terug als er een blok gesloten is (→ sidecar bijwerken)
+function indexAddLine(idx, p, lineEnd) {
+  const tail = idx.tail
+  const t = p ? pointTime(p) : null
+  if (t !== null) {
+    tail.minT = tail.minT === null ? t : Math.min(tail.minT, t)
+    tail.maxT = tail.maxT === null ? t : Math.max(tail.maxT, t)
+  }
+  if (p) {
+    tail.count++
+    tail.bbox = tail.bbox
+      ? [Math.min(tail.bbox[0], p.lon), Math.min(tail.bbox[1], p.lat), Math.max(tail.bbox[2], p.lon), Math.max(tail.bbox[3], p.lat)]
+      : [p.lon, p.lat, p.lon, p.lat]
+    tail.last = [p.lon, p.lat]
+    tail.lastStart = idx.bytes
+  }
+  idx.bytes = lineEnd
+  if (tail.count < ROUTE_INDEX_BLOCK) return false
+  const { minT, maxT, count, bbox, last, lastStart } = tail
+  idx.blocks.push({ start: tail.start, end: lineEnd, minT, maxT, count, bbox, last, lastStart })
+  idx.tail = newIndexTail(lineEnd)
+  return true
+}
+
+function persistRouteIndex(idx = tracker().routeIndex) {
+  if (!idx) return
+  const closedBytes = idx.blocks.length ? idx.blocks[idx.blocks.length - 1].end : 0
+  try {
+    writeJSON(files.routeIndex, { generation: idx.generation, bytes: closedBytes, blocks: idx.blocks })
+  } catch (e) {
+    console.error("❌ route index persist failed:", e?.message || e)
+  }
+}
+
+async function scanIntoRouteIndex(idx, start, end) {
+  await readLinesWithOffsets(files.route, {
+    start,
+    end,
+    onLine: async (line, _s, lineEnd) => {
+      const l = line.trim()
+      const p = l ? safeParseJSONLine(l) : null
+      indexAddLine(idx, p && typeof p.lat === "number" && typeof p.lon === "number" ? p : null, lineEnd)
+    },
+  })
+}
+
+/**
+ * Index laden (sidecar) of opbouwen. Appends tijdens het scannen worden ingehaald:
+ * pas als idx.bytes gelijk is aan de filegrootte (synchrone check) gaat de index live.
+ */
+async function loadRouteIndex({ forceRebuild = false } = {}) {
+  const seq = ++tracker().routeIndexLoadSeq
+  tracker().routeIndex = null
+  if (tracker().routeFormat !== "ndjson") return
+
+  let idx = null
+  const saved = forceRebuild ? null : readJSON(files.routeIndex)
+  const size = fileSize(files.route)
+  if (saved && Array.isArray(saved.blocks) && typeof saved.bytes === "number" && saved.bytes <= size) {
+    idx = newRouteIndex()
+    idx.generation = saved.generation || idx.generation
+    idx.blocks = saved.blocks
+    idx.bytes = saved.bytes
+    idx.tail = newIndexTail(saved.bytes)
+  } else {
+    idx = newRouteIndex()
+  }
+
+  try {
+    for (let i = 0; i < 20; i++) {
+      if (seq !== tracker().routeIndexLoadSeq) return // ingehaald door een nieuwere load/reset
+      const target = fileSize(files.route)
+      if (target < idx.bytes) {
+        // file is intussen kleiner geworden (reset) → opnieuw
+        idx = newRouteIndex()
+        continue
+      }
+      if (target === idx.bytes) {
+        tracker().routeIndex = idx
+        persistRouteIndex(idx)
+        return
+      }
+      await scanIntoRouteIndex(idx, idx.bytes, target)
+    }
+    console.error("❌ route index kon niet bijblijven; queries doen een volledige scan")
+  } catch (e) {
+    console.error("❌ route index build failed:", e?.message || e)
+  }
+}
+
+// Na reset/truncate: lege index met nieuwe generatie (oude cursors worden ongeldig)
+function resetRouteIndex() {
+  tracker().routeIndexLoadSeq++
+  if (tracker().routeFormat !== "ndjson") {
+    tracker().routeIndex = null
+    return
+  }
+  tracker().routeIndex = newRouteIndex()
+  persistRouteIndex()
+}
+
+function parseTimeParam(v) {
+  if (v === undefined || v === null || v === "") return null
+  const n = Number(v)
+  const t = Number.isFinite(n) ? n : new Date(String(v)).getTime()
+  return Number.isFinite(t) ? t : NaN
+}
+
+/**
+ * Query params voor route endpoints:
+ * from/to (ISO of epoch ms), bbox=minLon,minLat,maxLon,maxLat, limit, since=<cursor>
+ * Geeft { error } terug bij ongeldige input.
+ */
+function parseRouteQuery(q = {}) {
+  const from = parseTimeParam(q.from)
+  const to = parseTimeParam(q.to)
+  if (Number.isNaN(from)) return { error: "invalid from" }
+  if (Number.isNaN(to)) return { error: "invalid to" }
+
+  let bbox = null
+  if (q.bbox) {
+    const parts = String(q.bbox).split(",").map(Number)
+    if (parts.length !== 4 || parts.some((n) => !Number.isFinite(n)) || parts[0] > parts[2] || parts[1] > parts[3]) {
+      return { error: "invalid bbox (minLon,minLat,maxLon,maxLat)" }
+    }
+    bbox = parts
+  }
+
+  let limit = null
+  if (q.limit !== undefined) {
+    limit = Number(q.limit)
+    if (!Number.isInteger(limit) || limit < 1) return { error: "invalid limit" }
+    limit = Math.min(limit, ROUTE_QUERY_MAX_LIMIT)
+  }
+
+  const since = q.since !== undefined ? String(q.since) : null
+  // archief-cursor alleen zolang dat archief (in dezelfde index-generatie) nog in het venster valt;
+  // anders zou de query bij het eerste archief opnieuw beginnen en punten dubbel geven
+  const c = since ? parseRouteCursor(since) : null
+  if (c?.archive) {
+    const generation = tracker().routeIndex?.generation || "0"
+    if (c.generation !== generation || !archivedRouteSources(from, to).some((a) => isArchiveSource(a, c.archive))) {
+      return { error: "cursor expired, restart without since", status: 410 }
+    }
+  }
+  return { from, to, bbox, limit, since }
+}
+
+function routePointMatches(p, query) {
+  if (!query) return true
+  if (query.from !== null || query.to !== null) {
+    const t = pointTime(p)
+    if (t === null) return false
+    if (query.from !== null && t < query.from) return false
+    if (query.to !== null && t > query.to) return false
+  }
+  if (query.bbox) {
+    const [minLon, minLat, maxLon, maxLat] = query.bbox
+    if (p.lon < minLon || p.lon > maxLon || p.lat < minLat || p.lat > maxLat) return false
+  }
+  return true
+}
+
+// cursor = "<generatie>:<offset>" (NDJSON bytes, legacy JSON: array index)
+// of "<generatie>:a:<archiefId>:<n>" (from/to query die in een archief stopte na n punten)
+function parseRouteCursor(since) {
+  const m = /^([\w-]+):(?:a:([\w-]+):)?(\d+)$/.exec(since || "")
+  return m ? { generation: m[1], archive: m[2] || null, offset: Number(m[3]) } : null
+}
+
+function routeRangesForQuery(query, start, end) {
+  const idx = tracker().routeIndex
+  const timeFiltered = query && (query.from !== null || query.to !== null)
+  if (!timeFiltered || !idx) return [[start, end]]
+
+  const ranges = []
+  const add = (a, b) => {
+    a = Math.max(a, start)
+    b = Math.min(b, end)
+    if (b <= a) return
+    const last = ranges[ranges.length - 1]
+    if (last && last[1] === a) last[1] = b
+    else ranges.push([a, b])
+  }
+  const overlaps = (blk) =>
+    blk.minT === null ||
+    ((query.to === null || blk.minT <= query.to) && (query.from === null || blk.maxT >= query.from))
+
+  for (const blk of idx.blocks) if (overlaps(blk)) add(blk.start, blk.end)
+  add(idx.tail.start, end) // open blok altijd meenemen
+  return ranges
+}
+
+/**
+ * Byte ranges van de live log die een bbox kunnen raken (vector tiles). Per blok telt ook het
+ * laatste punt van het vorige blok mee, en de range begint bij dat punt: zo zit een segment dat
+ * de bbox kruist altijd in één range. null = geen bruikbare index (hele file lezen).
+ * Blokken uit een oudere sidecar (zonder bbox) worden altijd gelezen.
+ */
+function routeRangesForBbox(bbox, end) {
+  const idx = tracker().routeIndex
+  if (!idx || idx.bytes !== end) return null
+
+  const ranges = []
+  let prev = null
+  for (const blk of [...idx.blocks, { ...idx.tail, end }]) {
+    let box = blk.bbox
+    if (box && prev?.last) {
+      const [lon, lat] = prev.last
+      box = [Math.min(box[0], lon), Math.min(box[1], lat), Math.max(box[2], lon), Math.max(box[3], lat)]
+    }
+    if (blk.bbox === undefined || (box && bboxOverlaps(box, bbox))) {
+      const a = typeof prev?.lastStart === "number" ? prev.lastStart : blk.start
+      const last = ranges[ranges.length - 1]
+      if (last && last[1] >= a) last[1] = blk.end
+      else ranges.push([a, blk.end])
+    }
+    prev = blk
+  }
+  return ranges
+}
+
+/**
+ * Loopt alle punten langs, ongeacht opslagformaat (ndjson of legacy array).
+ * Met `query` (zie parseRouteQuery) wordt gefilterd en begrensd; geeft { cursor, count } terug.
+ */
+async function streamRoutePoints({ redact = false, onPoint, query = null }) {
+  let count = 0
+  const emit = async (p) => {
+    if (query && !routePointMatches(p, query)) return true
+    await onPoint(p)
+    count++
+    return !(query?.limit && count >= query.limit)
+  }
+
+  if (tracker().routeFormat === "ndjson") {
+    const size = fileSize(files.route) // snapshot: cursor = alles tot hier is gezien
+    const generation = tracker().routeIndex?.generation || "0"
+    let start = 0
+    const c = query?.since ? parseRouteCursor(query.since) : null
+    if (c && !c.archive && c.generation === generation && c.offset <= size) start = c.offset
+
+    // Vanaf het begin → eerst de gearchiveerde logs (niet als de cursor al in de live log zit).
+    // Stopt `limit` in een archief, dan hervat de cursor in dat archief na het laatste punt.
+    if (start === 0) {
+      let archives = archivedRouteSources(query?.from ?? null, query?.to ?? null)
+      let skip = 0
+      const resumeAt = c?.archive ? archives.findIndex((a) => isArchiveSource(a, c.archive)) : -1
+      if (resumeAt !== -1) {
+        archives = archives.slice(resumeAt)
+        skip = c.offset
+      }
+      for (const a of archives) {
+        let stoppedAt = null
+        await streamArchivePoints(a, {
+          redact,
+          skip,
+          onPoint: async (p, n) => {
+            if (await emit(p)) return
+            stoppedAt = n
+            return false
+          },
+        })
+        skip = 0
+        if (stoppedAt !== null) return { cursor: `${generation}:a:${a.id}:${stoppedAt}`, count }
+      }
+    }
+
+    let cursor = size
+    await streamRoutePointsNdjson({
+      redact,
+      ranges: routeRangesForQuery(query, start, size),
+      onPoint: async (p, lineEnd) => {
+        if (await emit(p)) return
+        cursor = lineEnd
+        return false
+      },
+    })
+    return { cursor: `${generation}:${cursor}`, count }
+  }
+
+  const arr = readJSON(files.route) || []
+  const c = query?.since ? parseRouteCursor(query.since) : null
+  let i = c && c.generation === "json" && c.offset <= arr.length ? c.offset : 0
+  for (; i < arr.length; i++) {
+    let p = arr[i]
+    if (!p || typeof p.lat !== "number" || typeof p.lon !== "number") continue
+    if (redact && !(p = redactPoint(p))) continue
+    if (!(await emit(p))) {
+      i++
+      break
+    }
+  }
+  return { cursor: `json:${i}`, count }
+}
+
+function appendRoutePointNdjson(point) {
+  const line = JSON.stringify(point) + "\n"
+  const idx = tracker().routeIndex
+  // iemand anders heeft de file aangepast → index niet meer te vertrouwen, opnieuw opbouwen
+  if (idx && fileSize(files.route) !== idx.bytes) {
+    tracker().routeIndex = null
+    void loadRouteIndex({ forceRebuild: true })
+  }
+  fs.appendFileSync(files.route, line, "utf-8")
+  if (tracker().routeIndex && indexAddLine(tracker().routeIndex, point, tracker().routeIndex.bytes + Buffer.byteLength(line))) {
+    persistRouteIndex()
+  }
+}
+
+// Batch opslaan in het actieve formaat (legacy JSON-array = read+write, kan RAM-heavy zijn)
+function storeRoutePoints(points) {
+  if (!points.length) return
+  if (tracker().routeFormat === "json") {
+    const route = readJSON(files.route) || []
+    route.push(...points)
+    writeJSON(files.route, route)
+    return
+  }
+  for (const p of points) appendRoutePointNdjson(p)
+}
+
+/**
+ * Late punten (ouder dan het laatst opgeslagen punt) op tijdsvolgorde invoegen.
+ * NDJSON: alleen de staart vanaf het eerste index-blok dat later eindigt wordt herschreven
+ * (max ROUTE_INSERT_MAX_TAIL_MB); punten met exact dezelfde tijd + positie tellen als duplicaat.
+ * Geeft { inserted, duplicates, tooOld } (arrays met punten) terug.
+ */
+function insertRoutePoints(points) {
+  const result = { inserted: [], duplicates: [], tooOld: [] }
+  const samePoint = (a, b) => pointTime(a) === pointTime(b) && a.lat === b.lat && a.lon === b.lon
+  const sorted = []
+  for (const p of points.slice().sort((a, b) => pointTime(a) - pointTime(b))) {
+    if (sorted.length && samePoint(sorted[sorted.length - 1], p)) result.duplicates.push(p)
+    else sorted.push(p)
+  }
+  if (!sorted.length) return result
+
+  if (tracker().routeFormat === "json") {
+    const route = readJSON(files.route) || []
+    for (const p of sorted) {
+      if (route.some((q) => q && samePoint(q, p))) result.duplicates.push(p)
+      else result.inserted.push(p)
+    }
+    if (!result.inserted.length) return result
+    route.push(...result.inserted)
+    route.sort((a, b) => (pointTime(a) ?? 0) - (pointTime(b) ?? 0))
+    writeJSON(files.route, route)
+    return result
+  }
+
+  // herschrijven vanaf het begin van het eerste blok waarvan maxT >= oudste late punt;
+  // zonder bruikbare index: van achteren af zoeken (nooit verder terug dan de limiet)
+  const firstT = pointTime(sorted[0])
+  const size = fileSize(files.route)
+  const maxTail = ROUTE_INSERT_MAX_TAIL_MB * 1024 * 1024
+  const idx = tracker().routeIndex
+  const indexed = !!idx && idx.bytes === size
+  let offset = null
+  if (indexed) {
+    offset = idx.bytes
+    for (const b of [...idx.blocks, idx.tail]) {
+      if (b.maxT !== null && b.maxT >= firstT) {
+        offset = b.start
+        break
+      }
+    }
+  } else {
+    offset = insertOffsetFromEnd(files.route, size, firstT, maxTail)
+  }
+  if (offset === null || size - offset > maxTail) {
+    result.tooOld.push(...sorted)
+    return result
+  }
+
+  const buf = Buffer.alloc(size - offset)
+  const fd = fs.openSync(files.route, "r")
+  try {
+    if (buf.length) fs.readSync(fd, buf, 0, buf.length, offset)
+  } finally {
+    fs.closeSync(fd)
+  }
+
+  const out = [] // [regel, punt|null]
+  const touched = [] // ingevoegde punten + buren (tiles)
+  // incrementele public state wijst naar een regel-einde in de oude file → zelfde regel in de nieuwe
+  const pub = tracker().publicRouteState
+  let publicOffset = pub && pub.offset <= offset ? pub.offset : null
+  let origEnd = offset
+  let newEnd = offset
+  let prevPoint = null
+  let i = 0
+  for (const line of buf.toString("utf-8").split("\n")) {
+    origEnd += Buffer.byteLength(line, "utf-8") + 1
+    if (!line.trim()) {
+      if (pub && origEnd === pub.offset) publicOffset = newEnd
+      continue
+    }
+    const q = safeParseJSONLine(line.trim())
+    const point = q && typeof q.lat === "number" && typeof q.lon === "number" ? q : null
+    const t = q ? pointTime(q) : null
+    if (t !== null) {
+      const before = result.inserted.length
+      for (; i < sorted.length && pointTime(sorted[i]) <= t; i++) {
+        if (samePoint(sorted[i], q)) result.duplicates.push(sorted[i])
+        else {
+          const json = JSON.stringify(sorted[i])
+          result.inserted.push(sorted[i])
+          out.push([json, sorted[i]])
+          newEnd += Buffer.byteLength(json, "utf-8") + 1
+        }
+      }
+      if (result.inserted.length > before) {
+        if (prevPoint) touched.push(prevPoint)
+        touched.push(...result.inserted.slice(before))
+        if (point) touched.push(point)
+      }
+    }
+    out.push([line, point])
+    newEnd += Buffer.byteLength(line, "utf-8") + 1
+    if (pub && origEnd === pub.offset) publicOffset = newEnd
+    if (point) prevPoint = point
+  }
+  if (i < sorted.length) {
+    if (prevPoint) touched.push(prevPoint)
+    for (; i < sorted.length; i++) {
+      result.inserted.push(sorted[i])
+      touched.push(sorted[i])
+      out.push([JSON.stringify(sorted[i]), sorted[i]])
+    }
+  }
+  if (!result.inserted.length) return result
+
+  rewriteRouteTail(offset, Buffer.from(out.map(([line]) => line + "\n").join(""), "utf-8"))
+  tracker().routeRewriteSeq++
+
+  // public GeoJSON incrementeel laten doorlopen (de late punten komen bij de geplande volledige
+  // rebuild mee); loopt er nu een rebuild op de oude inhoud, dan wordt de volgende vanzelf volledig
+  if (pub && publicOffset !== null && !tracker().publicRebuildRunning) {
+    pub.offset = publicOffset
+    pub.rewriteSeq = tracker().routeRewriteSeq
+  }
+
+  // byte-offsets zijn verschoven → nieuwe index-generatie (oude cursors ongeldig). Blokken vóór
+  // offset kloppen nog; alleen het herschreven stuk opnieuw indexeren.
+  if (indexed) {
+    tracker().routeIndexLoadSeq++
+    const next = newRouteIndex()
+    next.blocks = idx.blocks.filter((b) => b.end <= offset)
+    next.tail = newIndexTail(offset)
+    next.bytes = offset
+    let end = offset
+    for (const [line, point] of out) {
+      end += Buffer.byteLength(line, "utf-8") + 1
+      indexAddLine(next, point, end)
+    }
+    tracker().routeIndex = next
+    persistRouteIndex(next)
+  } else {
+    tracker().routeIndex = null
+    void loadRouteIndex({ forceRebuild: true })
+  }
+  result.touched = touched
+  return result
+}
+
+/**
+ * Vervangt alles vanaf `offset` door `data`, zonder het onveranderde begin te kopiëren.
+ * Eerst de nieuwe staart + journal naast de log; een crash tijdens het inkorten/aanvullen
+ * wordt bij het opstarten afgemaakt (replayRouteInsertJournal).
+ */
+function rewriteRouteTail(offset, data) {
+  fs.writeFileSync(files.routeInsertTail, data)
+  writeJSON(files.routeInsertJournal, { offset, bytes: data.length })
+  applyRouteInsertTail(offset)
+}
+
+function applyRouteInsertTail(offset) {
+  fs.truncateSync(files.route, offset)
+  fs.appendFileSync(files.route, fs.readFileSync(files.routeInsertTail))
+  fs.unlinkSync(files.routeInsertJournal)
+  fs.unlinkSync(files.routeInsertTail)
+}
+
+// boot: een onderbroken late insert afmaken; staart zonder journal = log nog niet aangeraakt
+function replayRouteInsertJournal() {
+  const journal = readJSON(files.routeInsertJournal)
+  try {
+    if (journal && Number.isSafeInteger(journal.offset) && fileSize(files.routeInsertTail) === journal.bytes) {
+      applyRouteInsertTail(journal.offset)
+      console.log(`🧭 onderbroken late insert afgemaakt (vanaf byte ${journal.offset})`)
+      return
+    }
+    for (const fp of [files.routeInsertJournal, files.routeInsertTail]) {
+      if (fs.existsSync(fp)) fs.unlinkSync(fp)
+    }
+  } catch (e) {
+    console.error("❌ late insert journal replay failed:", e?.message || e)
+  }
+}
+
+/**
+ * Byte-offset waar het herschrijven voor een late insert moet beginnen: direct na de laatste
+ * regel (van achteren af) met tijd < firstT. null = ligt verder dan maxBytes van het eind.
+ */
+function insertOffsetFromEnd(fp, size, firstT, maxBytes) {
+  const CHUNK = 64 * 1024
+  const fd = fs.openSync(fp, "r")
+  try {
+    let pos = size
+    let carry = Buffer.alloc(0)
+    while (pos > 0) {
+      const len = Math.min(CHUNK, pos)
+      pos -= len
+      const chunk = Buffer.alloc(len)
+      fs.readSync(fd, chunk, 0, len, pos)
+      const data = carry.length ? Buffer.concat([chunk, carry]) : chunk
+      let lineEnd = data.length // [lineStart, lineEnd) incl. de eigen \n
+      for (;;) {
+        const nl = lineEnd >= 2 ? data.lastIndexOf(0x0a, lineEnd - 2) : -1
+        if (nl === -1 && pos > 0) break // begin van deze regel zit in het vorige chunk
+        const lineStart = nl + 1
+        const text = data.toString("utf-8", lineStart, lineEnd).trim()
+        const p = text ? safeParseJSONLine(text) : null
+        const t = p ? pointTime(p) : null
+        if (t !== null && t < firstT) return pos + lineEnd
+        if (size - (pos + lineStart) > maxBytes) return null
+        lineEnd = lineStart
+        if (lineEnd === 0) break
+      }
+      carry = data.subarray(0, lineEnd)
+      if (size - pos > maxBytes + CHUNK) return null
+    }
+    return 0
+  } finally {
+    fs.closeSync(fd)
+  }
+}
+
+async function streamRouteAsJsonArray(res, { redact = false, query = null } = {}) {
+  res.setHeader("Content-Type", "application/json; charset=utf-8")
+  res.setHeader("Cache-Control", "no-cache")
+
+  // met ?since=<cursor> (of since=0 voor de eerste sync) een envelope met cursor aan het eind
+  const envelope = query?.since !== null && query?.since !== undefined
+  res.write(envelope ? '{"points":[' : "[")
+  let first = true
+
+  const { cursor } = await streamRoutePoints({
+    redact,
+    query,
+    onPoint: async (p) => {
+      if (!first) res.write(",")
+      first = false
+      res.write(JSON.stringify(p))
+    },
+  })
+
+  res.end(envelope ? `],"cursor":${JSON.stringify(cursor)}}` : "]")
+}
+
+async function streamRouteAsGeoJSON(res, { redact = true, toleranceM = 0, query = null } = {}) {
+  res.setHeader("Content-Type", "application/geo+json; charset=utf-8")
+  res.setHeader("Cache-Control", "no-cache")
+
+  // We schrijven pas een feature als we zeker 2 coords hebben.
+  res.write('{"type":"FeatureCollection","features":[')
+
+  let startedFeature = false
+  let buffered = [] // max 2 coords strings
+  let firstCoordWritten = false
+
+  const startFeature = () => {
+    res.write(
+      '{"type":"Feature","properties":{"source":"routeData.json","redact":' +
+        (redact ? "true" : "false") +
+        (toleranceM > 0 ? ',"toleranceM":' + toleranceM : "") +
+        '},"geometry":{"type":"LineString","coordinates":['
+    )
+    // flush buffered coords
+    res.write(buffered[0])
+    res.write(",")
+    res.write(buffered[1])
+    firstCoordWritten = true
+    startedFeature = true
+  }
+
+  const writeCoord = (coordStr) => {
+    if (!startedFeature) {
+      buffered.push(coordStr)
+      if (buffered.length === 2) startFeature()
+      return
+    }
+    // feature al gestart
+    res.write(",")
+    res.write(coordStr)
+  }
+
+  const writePoint = async (p) => {
+    const coordStr = `[${+p.lon},${+p.lat}]`
+    writeCoord(coordStr)
+  }
+
+  // optioneel vereenvoudigen (Douglas-Peucker in begrensde chunks)
+  const simplifier = toleranceM > 0 ? createSimplifier(toleranceM, writePoint) : null
+  const onPoint = simplifier ? (p) => simplifier.push(p) : writePoint
+
+  const { cursor } = await streamRoutePoints({ redact, onPoint, query })
+  if (simplifier) await simplifier.flush()
+
+  // cursor als foreign member van de FeatureCollection (alleen bij ?since=)
+  const tail = query?.since !== null && query?.since !== undefined ? `,"cursor":${JSON.stringify(cursor)}}` : "}"
+
+  if (!startedFeature) {
+    // < 2 coords
+    return res.end("]" + tail)
+  }
+
+  // sluit feature + fc
+  res.end("]}}]" + tail)
+}
+
+// ─────────────────────────────────────────────
+// Route segmentatie (breek bij tijdgat of afstandssprong)
+// ─────────────────────────────────────────────
+const SEGMENT_GAP_MS = Number(process.env.SEGMENT_GAP_MS || 30 * 60_000) // 30 min
+const SEGMENT_JUMP_M = Number(process.env.SEGMENT_JUMP_M || 5000) // 5 km
+
+function segmentOptionsFromQuery(q = {}) {
+  const gapSec = Number(q.gapSec)
+  const jumpM = Number(q.jumpM)
+  return {
+    gapMs: Number.isFinite(gapSec) && gapSec > 0 ? gapSec * 1000 : SEGMENT_GAP_MS,
+    jumpM: Number.isFinite(jumpM) && jumpM > 0 ? jumpM : SEGMENT_JUMP_M,
+  }
+}
+
+function isSegmentBreak(prev, p, { gapMs = SEGMENT_GAP_MS, jumpM = SEGMENT_JUMP_M } = {}) {
+  if (!prev) return false
+  const t0 = pointTime(prev)
+  const t1 = pointTime(p)
+  if (t0 !== null && t1 !== null && t1 - t0 > gapMs) return true
+  return distanceMeters(prev.lat, prev.lon, p.lat, p.lon) > jumpM
+}
+
+/**
+ * Splitst de route in segmenten en geeft per segment de stats terug.
+ * Alleen de stats-accumulator per segment leeft in RAM, niet de punten.
+ */
+async function computeRouteSegments({ redact = false, gapMs, jumpM } = {}) {
+  const segments = []
+  let current = null
+  let prev = null
+
+  await streamRoutePoints({
+    redact,
+    onPoint: async (p) => {
+      if (!current || isSegmentBreak(prev, p, { gapMs, jumpM })) {
+        if (current) segments.push({ index: segments.length, ...current.result() })
+        current = createTrackStats()
+      }
+      current.add(p)
+      prev = p
+    },
+  })
+
+  if (current) segments.push({ index: segments.length, ...current.result() })
+  return segments
+}
+
+/**
+ * GeoJSON met de route opgeknipt in segmenten:
+ * - mode "features": 1 LineString feature per segment (properties.segment = index)
+ * - mode "multi": 1 feature met een MultiLineString
+ * Segmenten met < 2 punten worden overgeslagen (index blijft wel doortellen).
+ */
+async function streamRouteSegmentsAsGeoJSON(res, { redact = true, mode = "features", gapMs, jumpM, query = null } = {}) {
+  res.setHeader("Content-Type", "application/geo+json; charset=utf-8")
+  res.setHeader("Cache-Control", "no-cache")
+  res.write('{"type":"FeatureCollection","features":[')
+
+  let segIndex = -1
+  let prev = null
+  let pending = null // eerste coord van segment (nog niet geschreven)
+  let lineOpen = false
+  let linesWritten = 0
+
+  const closeLine = () => {
+    if (!lineOpen) return
+    res.write(mode === "multi" ? "]" : "]}}")
+    lineOpen = false
+  }
+
+  const openLine = () => {
+    if (mode === "multi") {
+      if (!linesWritten) {
+        res.write(
+          '{"type":"Feature","properties":{"source":"routeData.json","redact":' +
+            (redact ? "true" : "false") +
+            '},"geometry":{"type":"MultiLineString","coordinates":['
+        )
+      } else {
+        res.write(",")
+      }
+      res.write("[")
+    } else {
+      if (linesWritten) res.write(",")
+      res.write(
+        '{"type":"Feature","properties":{"source":"routeData.json","redact":' +
+          (redact ? "true" : "false") +
+          ',"segment":' +
+          segIndex +
+          '},"geometry":{"type":"LineString","coordinates":['
+      )
+    }
+    lineOpen = true
+    linesWritten++
+  }
+
+  const { cursor } = await streamRoutePoints({
+    redact,
+    query,
+    onPoint: async (p) => {
+      if (segIndex === -1 || isSegmentBreak(prev, p, { gapMs, jumpM })) {
+        closeLine()
+        segIndex++
+        pending = null
+      }
+      prev = p
+
+      const coordStr = `[${+p.lon},${+p.lat}]`
+      if (lineOpen) {
+        res.write(",")
+        res.write(coordStr)
+      } else if (pending === null) {
+        pending = coordStr
+      } else {
+        openLine()
+        res.write(pending)
+        res.write(",")
+        res.write(coordStr)
+        pending = null
+      }
+    },
+  })
+
+  closeLine()
+  if (mode === "multi" && linesWritten) res.write("]}}")
+  res.end(query?.since !== null && query?.since !== undefined ? `],"cursor":${JSON.stringify(cursor)}}` : "]}")
+}
+
+// ─────────────────────────────────────────────
+// Route simplificatie (Douglas-Peucker, geheugen-begrensd)
+// ─────────────────────────────────────────────
+// DP vraagt normaal de hele lijn in RAM; wij doen het per chunk van SIMPLIFY_CHUNK_SIZE
+// punten (chunk-grenzen blijven altijd staan). Op de Jetson scheelt dat honderden MB's.
+const SIMPLIFY_CHUNK_SIZE = Number(process.env.SIMPLIFY_CHUNK_SIZE || 5000)
+const PUBLIC_SIMPLIFY_TOLERANCE_M = Number(process.env.PUBLIC_SIMPLIFY_TOLERANCE_M || 10)
+
+// ?tolerance=<meters> of ?zoom=<0..22> (≈ 1 pixel op dat zoomniveau)
+function simplifyToleranceFromQuery(q = {}) {
+  const tol = Number(q.tolerance)
+  if (Number.isFinite(tol) && tol > 0) return Math.min(tol, 100_000)
+  const zoom = Number(q.zoom)
+  if (q.zoom !== undefined && Number.isFinite(zoom)) {
+    const z = Math.max(0, Math.min(22, zoom))
+    return Math.round((156_543.03 / 2 ** z) * 100) / 100
+  }
+  return 0
+}
+
+function segmentDistanceXY(px, py, ax, ay, bx, by) {
+  const dx = bx - ax
+  const dy = by - ay
+  const len2 = dx * dx + dy * dy
+  let t = len2 ? ((px - ax) * dx + (py - ay) * dy) / len2 : 0
+  t = Math.max(0, Math.min(1, t))
+  const ex = ax + t * dx - px
+  const ey = ay + t * dy - py
+  return Math.sqrt(ex * ex + ey * ey)
+}
+
+// Iteratief (geen recursie-diepte issues); geeft per punt 1/0 terug
+function douglasPeuckerKeep(points, toleranceM) {
+  const n = points.length
+  const keep = new Uint8Array(n)
+  if (!n) return keep
+  keep[0] = 1
+  keep[n - 1] = 1
+  if (n <= 2) return keep
+
+  // lokale projectie naar meters (equirectangular rond eerste punt)
+  const kx = 111_320 * Math.cos((points[0].lat * Math.PI) / 180)
+  const ky = 110_540
+  const xs = new Float64Array(n)
+  const ys = new Float64Array(n)
+  for (let i = 0; i < n; i++) {
+    xs[i] = points[i].lon * kx
+    ys[i] = points[i].lat * ky
+  }
+
+  const stack = [[0, n - 1]]
+  while (stack.length) {
+    const [a, b] = stack.pop()
+    let maxD = 0
+    let idx = -1
+    for (let i = a + 1; i < b; i++) {
+      const d = segmentDistanceXY(xs[i], ys[i], xs[a], ys[a], xs[b], ys[b])
+      if (d > maxD) {
+        maxD = d
+        idx = i
+      }
+    }
+    if (idx !== -1 && maxD > toleranceM) {
+      keep[idx] = 1
+      stack.push([a, idx], [idx, b])
+    }
+  }
+  return keep
+}
+
+/**
+ * Streaming simplifier: push(p) per punt, flush() aan het eind.
+ * onPoint krijgt alleen de behouden punten, in volgorde.
+ */
+function createSimplifier(toleranceM, onPoint, { chunkSize = SIMPLIFY_CHUNK_SIZE } = {}) {
+  let chunk = []
+
+  async function emit(final) {
+    const keep = douglasPeuckerKeep(chunk, toleranceM)
+    const last = chunk.length - 1
+    for (let i = 0; i <= last; i++) {
+      if (!keep[i]) continue
+      if (i === last && !final) break // eindpunt wordt begin van de volgende chunk
+      await onPoint(chunk[i])
+    }
+    chunk = final ? [] : [chunk[last]]
+  }
+
+  return {
+    async push(p) {
+      chunk.push(p)
+      if (chunk.length >= chunkSize) await emit(false)
+    },
+    async flush() {
+      if (chunk.length) await emit(true)
+    },
+    // wat flush() nu zou opleveren, zonder de staat te wijzigen (incrementele public file)
+    preview() {
+      const keep = douglasPeuckerKeep(chunk, toleranceM)
+      return chunk.filter((_p, i) => keep[i])
+    },
+  }
+}
+
+// ─────────────────────────────────────────────
+// Public GeoJSON file: debounced rebuild (scheelt IO bij grote routes)
+// ─────────────────────────────────────────────
+// Incrementeel (NDJSON, default): na een volledige rebuild onthouden we tot welke byte-offset
+// routeData.json verwerkt is en schrijven we alleen nieuwe coords bij.
+// Volledig opnieuw bij: andere privacy zones, nieuwe routeData.json (reset/rotatie/restore),
+// een delay-zone punt dat vrij komt, of handmatig via /api/route/rebuild-geojson.
+// PUBLIC_GEOJSON_INCREMENTAL=0 → altijd volledig.
+const PUBLIC_GEOJSON_MIN_INTERVAL_MS = Number(process.env.PUBLIC_GEOJSON_MIN_INTERVAL_MS || 30_000)
+const PUBLIC_GEOJSON_INCREMENTAL = process.env.PUBLIC_GEOJSON_INCREMENTAL !== "0"
+const PUBLIC_FULL_PROPS = '{"source":"routeData.json","redact":true}'
+const PUBLIC_SIMPLIFIED_PROPS = `{"source":"routeData.json","redact":true,"toleranceM":${PUBLIC_SIMPLIFY_TOLERANCE_M}}`
+const LINESTRING_SUFFIX = "]}}]}"
+const EMPTY_FEATURE_COLLECTION = '{"type":"FeatureCollection","features":[]}'
+
+function lineStringHeader(propertiesJson) {
+  return (
+    '{"type":"FeatureCollection","features":[{"type":"Feature","properties":' +
+    propertiesJson +
+    ',"geometry":{"type":"LineString","coordinates":['
+  )
+}
+
+function coordString(p) {
+  return `[${+p.lon},${+p.lat}]`
+}
+
+/**
+ * Schrijft één LineString FeatureCollection naar `dest` via .tmp + rename.
+ * Feature pas openen bij 2 coords (net als de streaming varianten).
+ */
+function openLineStringFile(dest, propertiesJson) {
+  const tmp = dest + ".tmp"
+  const ws = fs.createWriteStream(tmp, { encoding: "utf-8" })
+  ws.write('{"type":"FeatureCollection","features":[')
+
+  let startedFeature = false
+  let buffered = [] // 2 coords strings
+
+  const startFeature = () => {
+    ws.write('{"type":"Feature","properties":' + propertiesJson + ',"geometry":{"type":"LineString","coordinates":[')
+    ws.write(buffered[0])
+    ws.write(",")
+    ws.write(buffered[1])
+    startedFeature = true
+  }
+
+  const writePoint = async (p) => {
+    const coordStr = coordString(p)
+    if (!startedFeature) {
+      buffered.push(coordStr)
+      if (buffered.length === 2) startFeature()
+      return
+    }
+    ws.write(",")
+    ws.write(coordStr)
+  }
+
+  const close = async () => {
+    ws.write(startedFeature ? LINESTRING_SUFFIX : "]}")
+    await new Promise((resolve) => ws.end(resolve))
+    replaceFile(tmp, dest)
+  }
+
+  return { writePoint, close }
+}
+
+function replaceFile(tmp, dest) {
+  try {
+    fs.renameSync(tmp, dest)
+  } catch (e) {
+    try {
+      fs.copyFileSync(tmp, dest)
+      fs.unlinkSync(tmp)
+    } catch (e2) {
+      console.error("❌ persistPublicRouteGeoJSON failed:", e2)
+    }
+  }
+}
+
+/**
+ * Boekhouding van een public LineString file: aantal vaste coords en hun bytes,
+ * zodat een incrementele ronde precies achter de laatste vaste coord verder schrijft.
+ * head = de vaste coords zolang er nog geen feature is (< 2).
+ */
+function newLineFileState(dest, propertiesJson) {
+  return { dest, header: lineStringHeader(propertiesJson), count: 0, bytes: 0, head: [] }
+}
+
+function trackCommitted(state, coords) {
+  for (const c of coords) {
+    state.count++
+    state.bytes += Buffer.byteLength(c)
+    if (state.count <= 2) state.head.push(c)
+  }
+  if (state.count >= 2) state.head = []
+}
+
+// vaste coords erbij + (vervangbare) staart, bv. het nog open DP-chunk van de simplified file
+function appendLineFile(state, coords, tail = []) {
+  const wasStarted = state.count >= 2
+  // byte-positie direct achter de laatste vaste coord (alleen zinvol als de feature al bestaat)
+  const end = Buffer.byteLength(state.header) + state.bytes + state.count - 1
+  const committed = wasStarted ? coords : [...state.head, ...coords]
+  trackCommitted(state, coords)
+
+  if (!wasStarted) {
+    // nog (bijna) leeg: gewoon het hele bestand herschrijven
+    const all = [...committed, ...tail]
+    const text = all.length >= 2 ? state.header + all.join(",") + LINESTRING_SUFFIX : EMPTY_FEATURE_COLLECTION
+    fs.writeFileSync(state.dest + ".tmp", text, "utf-8")
+    replaceFile(state.dest + ".tmp", state.dest)
+    return
+  }
+
+  const text = [...coords, ...tail].map((c) => "," + c).join("") + LINESTRING_SUFFIX
+  const buf = Buffer.from(text, "utf-8")
+  const fd = fs.openSync(state.dest, "r+")
+  try {
+    // één write over de oude suffix/staart heen, daarna afkappen als de staart korter werd
+    fs.writeSync(fd, buf, 0, buf.length, end)
+    fs.ftruncateSync(fd, end + buf.length)
+  } finally {
+    fs.closeSync(fd)
+  }
+}
+
+function routeFileId() {
+  try {
+    const st = fs.statSync(files.route)
+    return { ino: st.ino, size: st.size }
+  } catch {
+    return { ino: null, size: 0 }
+  }
+}
+
+/**
+ * Leest routeData.json vanaf `start` en geeft de public punten door.
+ * Stopt bij het eerste punt dat nog onder PUBLIC_DELAY_MS valt (offset = daar later verder);
+ * punten in een delay-zone geven `fullAt` terug: dan moet alles opnieuw (punt komt midden in de lijn).
+ */
+async function consumePublicRoutePoints(start, now, onPoint) {
+  let offset = start
+  let fullAt = null
+  await readLinesWithOffsets(files.route, {
+    start,
+    onLine: async (line, _lineStart, lineEnd) => {
+      const p = line.trim() ? safeParseJSONLine(line.trim()) : null
+      if (p && typeof p.lat === "number" && typeof p.lon === "number") {
+        const t = pointTime(p)
+        if (PUBLIC_DELAY_MS && t !== null && now - t < PUBLIC_DELAY_MS) return false
+        const pub = redactPoint(p, now)
+        if (pub) await onPoint(pub)
+        else fullAt = minTime(fullAt, delayZoneDue(p, t))
+      }
+      offset = lineEnd
+    },
+  })
+  return { offset, fullAt }
+}
+
+function minTime(a, b) {
+  return a === null ? b : b === null ? a : Math.min(a, b)
+}
+
+// punt in een delay-zone: wanneer hij vrijkomt (midden in de lijn → dan alles opnieuw)
+function delayZoneDue(p, t) {
+  const z = privacyZoneFor(p.lat, p.lon)
+  if (z?.mode !== "delay" || t === null || inPrivacyWindow(t)) return null
+  return t + (z.delayMinutes || 0) * 60_000
+}
+
+// Zelfde voor de archieven (komen vóór de live log). Een archief van een net gestopte rit kan nog
+// punten onder PUBLIC_DELAY_MS bevatten: die komen er via fullAt later alsnog in.
+async function consumePublicArchivePoints(now, onPoint) {
+  let fullAt = null
+  for (const a of archivedRouteSources()) {
+    await streamArchivePoints(a, {
+      onPoint: async (p) => {
+        const t = pointTime(p)
+        if (PUBLIC_DELAY_MS && t !== null && now - t < PUBLIC_DELAY_MS) {
+          fullAt = minTime(fullAt, t + PUBLIC_DELAY_MS)
+          return
+        }
+        const pub = redactPoint(p, now)
+        if (pub) await onPoint(pub)
+        else fullAt = minTime(fullAt, delayZoneDue(p, t))
+      },
+    })
+  }
+  return { fullAt }
+}
+
+function publicFullRebuildNeeded(now) {
+  if (tracker().publicFullRebuildReason) return tracker().publicFullRebuildReason
+  if (!PUBLIC_GEOJSON_INCREMENTAL) return "disabled"
+  if (tracker().routeFormat !== "ndjson") return "json-storage"
+  const st = tracker().publicRouteState
+  if (!st) return "no-state"
+  if (st.zonesSig !== refreshPrivacyCache().sig) return "zones"
+  if (st.fullAt !== null && now >= st.fullAt) return "delay-zone"
+  const id = routeFileId()
+  if (id.ino !== st.ino || id.size < st.offset || st.rewriteSeq !== tracker().routeRewriteSeq) return "route-file"
+  return null
+}
+
+async function rebuildPublicRouteFull(now) {
+  const full = openLineStringFile(files.routePublic, PUBLIC_FULL_PROPS)
+  const simple = openLineStringFile(files.routePublicSimplified, PUBLIC_SIMPLIFIED_PROPS)
+  let points = 0
+
+  if (tracker().routeFormat !== "ndjson") {
+    tracker().publicRouteState = null
+    const simplifier = createSimplifier(PUBLIC_SIMPLIFY_TOLERANCE_M, simple.writePoint)
+    try {
+      const arr = readJSON(files.route) || []
+      for (const p of arr) {
+        if (!p || typeof p.lat !== "number" || typeof p.lon !== "number") continue
+        const pub = redactPoint(p, now)
+        if (!pub) continue
+        await full.writePoint(pub)
+        await simplifier.push(pub)
+        points++
+      }
+      await simplifier.flush()
+    } catch (e) {
+      console.error("❌ rebuildPublicRouteGeoJSON stream failed:", e?.message || e)
+    }
+    await Promise.all([full.close(), simple.close()])
+    return points
+  }
+
+  // state meteen vastleggen: ino van de file die we gaan lezen (+ herschrijf-teller, late inserts gaan in-place)
+  const state = {
+    ino: routeFileId().ino,
+    rewriteSeq: tracker().routeRewriteSeq,
+    offset: 0,
+    fullAt: null,
+    zonesSig: refreshPrivacyCache().sig,
+    full: newLineFileState(files.routePublic, PUBLIC_FULL_PROPS),
+    simple: newLineFileState(files.routePublicSimplified, PUBLIC_SIMPLIFIED_PROPS),
+    simpleBatch: [],
+    simplifier: null,
+  }
+  state.simplifier = createSimplifier(PUBLIC_SIMPLIFY_TOLERANCE_M, async (p) => {
+    state.simpleBatch.push(p)
+  })
+
+  let ok = true
+  try {
+    const write = async (p) => {
+      await full.writePoint(p)
+      trackCommitted(state.full, [coordString(p)])
+      await state.simplifier.push(p)
+      for (const q of state.simpleBatch.splice(0)) {
+        await simple.writePoint(q)
+        trackCommitted(state.simple, [coordString(q)])
+      }
+      points++
+    }
+    const archived = await consumePublicArchivePoints(now, write)
+    const { offset, fullAt } = await consumePublicRoutePoints(0, now, write)
+    state.offset = offset
+    state.fullAt = minTime(archived.fullAt, fullAt)
+    // open DP-chunk als staart; wordt bij de volgende ronde vervangen
+    for (const q of state.simplifier.preview()) await simple.writePoint(q)
+  } catch (e) {
+    ok = false
+    console.error("❌ rebuildPublicRouteGeoJSON stream failed:", e?.message || e)
+  }
+
+  await Promise.all([full.close(), simple.close()])
+  tracker().publicRouteState = ok ? state : null
+  return points
+}
+
+async function rebuildPublicRouteIncremental(now) {
+  const st = tracker().publicRouteState
+  const fresh = []
+  const { offset, fullAt } = await consumePublicRoutePoints(st.offset, now, async (p) => {
+    fresh.push(p)
+    await st.simplifier.push(p)
+  })
+  st.offset = offset
+  if (fullAt !== null) st.fullAt = st.fullAt === null ? fullAt : Math.min(st.fullAt, fullAt)
+  if (!fresh.length) return 0
+
+  appendLineFile(st.full, fresh.map(coordString))
+  appendLineFile(st.simple, st.simpleBatch.splice(0).map(coordString), st.simplifier.preview().map(coordString))
+  return fresh.length
+}
+
+/**
+ * Bouwt route_public.geojson + de vereenvoudigde variant bij (incrementeel of volledig).
+ * Rebuilds lopen na elkaar; { reason } forceert een volledige rebuild.
+ */
+function rebuildPublicRouteGeoJSON({ reason = null } = {}) {
+  const run = async () => {
+    const now = Date.now()
+    const fullReason = reason || publicFullRebuildNeeded(now)
+    let points = 0
+
+    if (fullReason) {
+      tracker().publicFullRebuildReason = null
+      // zelfde redenen (zones, nieuwe log, delay-zone) maken ook alle tiles ongeldig;
+      // bij late inserts zijn de geraakte tiles al bij het invoegen weggegooid
+      if (fullReason !== "late-insert") wipeTileCache()
+      try {
+        points = await rebuildPublicRouteFull(now)
+      } catch (e) {
+        // o.a. rename/ENOSPC bij het afsluiten van de files → volgende ronde opnieuw volledig
+        console.error("❌ full public rebuild failed:", e?.message || e)
+        tracker().publicRouteState = null
+        tracker().publicFullRebuildReason = fullReason
+        return
+      }
+      tracker().publicRebuildStats.fullCount++
+    } else {
+      try {
+        points = await rebuildPublicRouteIncremental(now)
+        tracker().publicRebuildStats.incrementalCount++
+      } catch (e) {
+        // bestand kwijt/corrupt → volgende keer volledig
+        console.error("❌ incremental public rebuild failed:", e?.message || e)
+        tracker().publicRouteState = null
+        tracker().publicFullRebuildReason = "incremental-error"
+        return
+      }
+    }
+
+    Object.assign(tracker().publicRebuildStats, {
+      mode: fullReason ? "full" : "incremental",
+      reason: fullReason,
+      at: new Date(now).toISOString(),
+      durationMs: Date.now() - now,
+      points,
+    })
+  }
+  const guarded = async () => {
+    tracker().publicRebuildRunning = true
+    try {
+      await run()
+    } finally {
+      tracker().publicRebuildRunning = false
+    }
+  }
+  tracker().publicRebuildQueue = tracker().publicRebuildQueue.then(guarded, guarded)
+  return tracker().publicRebuildQueue
+}
+
+// Late inserts (offline buffer in vele batches): hooguit één volledige rebuild per LATE_INSERT_REBUILD_MS
+const LATE_INSERT_REBUILD_MS = Number(process.env.LATE_INSERT_REBUILD_MS || 30_000)
+
+function scheduleLateInsertRebuild() {
+  const t = tracker()
+  if (t.lateInsertTimer) return
+  t.lateInsertTimer = setTimeout(() => {
+    t.lateInsertTimer = null
+    requestFullPublicRebuild("late-insert")
+  }, LATE_INSERT_REBUILD_MS)
+  t.lateInsertTimer.unref?.()
+}
+
+// Zones gewijzigd: eerstvolgende rebuild volledig, en die meteen plannen
+function requestFullPublicRebuild(reason) {
+  tracker().publicFullRebuildReason = reason
+  schedulePublicRouteRebuild()
+}
+
+function schedulePublicRouteRebuild() {
+  const now = Date.now()
+  const wait = Math.max(0, PUBLIC_GEOJSON_MIN_INTERVAL_MS - (now - tracker().lastPublicGeojsonAt))
+
+  if (tracker().publicGeojsonTimer) return // al gepland
+
+  tracker().publicGeojsonTimer = setTimeout(async () => {
+    tracker().publicGeojsonTimer = null
+    try {
+      await rebuildPublicRouteGeoJSON()
+      tracker().lastPublicGeojsonAt = Date.now()
+    } catch (e) {
+      console.error("❌ public geojson rebuild failed:", e?.message || e)
+    }
+    scheduleDelayedPublicRebuild()
+  }, wait)
+}
+
+// Vertraagd publiceren: ook als er niks nieuws binnenkomt moeten achtergehouden punten
+// (PUBLIC_DELAY_MS of een delay-zone) alsnog in de public file komen
+
+function scheduleDelayedPublicRebuild() {
+  if (tracker().publicDelayTimer) return
+  const now = Date.now()
+  const t = pointTime(tracker().lastRoutePoint)
+  const due = []
+  if (PUBLIC_DELAY_MS && t !== null) due.push(t + PUBLIC_DELAY_MS)
+  if (tracker().publicRouteState?.fullAt) due.push(tracker().publicRouteState.fullAt)
+  const upcoming = due.filter((d) => d > now)
+  if (!upcoming.length) return
+  const wait = Math.min(...upcoming) - now
+  tracker().publicDelayTimer = setTimeout(() => {
+    tracker().publicDelayTimer = null
+    schedulePublicRouteRebuild()
+  }, wait + 1000)
+  tracker().publicDelayTimer.unref()
+}
+
+// ─────────────────────────────────────────────
+// Live events (Server-Sent Events) — vervangt pollen door overlays
+// ─────────────────────────────────────────────
+// GET /api/events            → public kanaal (privacy zones toegepast, zoals de public endpoints)
+// GET /api/events?raw=1      → admin kanaal (ongefilterd)
+const SSE_HEARTBEAT_MS = Number(process.env.SSE_HEARTBEAT_MS || 25_000)
+const sseClients = new Set()
+let sseEventId = 0
+
+function sseWrite(client, id, type, data) {
+  try {
+    client.res.write(`id: ${id}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`)
+  } catch {
+    sseClients.delete(client)
+  }
+}
+
+/**
+ * Verstuurt een event naar alle clients.
+ * - data: payload voor het admin (raw) kanaal; null = niet naar admin (bv. vertraagde public events)
+ * - publicData: payload voor het public kanaal; null/undefined = niet naar public sturen
+ */
+function broadcastEvent(type, data, publicData) {
+  if (!sseClients.size) return
+  const id = ++sseEventId
+  const trackerId = tracker().id
+  for (const client of sseClients) {
+    if (client.tracker !== trackerId) continue
+    if (client.raw) {
+      if (data !== null) sseWrite(client, id, type, data)
+    } else if (publicData !== null && publicData !== undefined) {
+      sseWrite(client, id, type, publicData)
+    }
+  }
+}
+
+setInterval(() => {
+  for (const client of sseClients) {
+    try {
+      client.res.write(": ping\n\n")
+    } catch {
+      sseClients.delete(client)
+    }
+  }
+}, SSE_HEARTBEAT_MS).unref()
+
+function broadcastRoutePoints(points) {
+  // public kanaal: zelfde redactie als route.geojson (zones/privacy-modus kunnen intussen gewijzigd zijn)
+  const publicPoints = points.map((p) => redactPoint(p)).filter(Boolean)
+  broadcastEvent("route", { points }, publicPoints.length ? { points: publicPoints } : null)
+  invalidateTilesForPoints(publicPoints)
+
+  // met PUBLIC_DELAY_MS: public kanaal (en tiles) krijgen de punten zodra ze vrijgegeven zijn
+  if (PUBLIC_DELAY_MS) {
+    queueDelayedTileInvalidation(points)
+    setTimeout(() => {
+      const due = points.map((p) => redactPoint(p)).filter(Boolean)
+      if (due.length) broadcastEvent("route", null, { points: due })
+    }, PUBLIC_DELAY_MS + 1000).unref()
+  }
+}
+
+app.get("/api/events", requireScope((req) => (req.query.raw === "1" ? "admin" : "public")), (req, res) => {
+  res.setHeader("Content-Type", "text/event-stream; charset=utf-8")
+  res.setHeader("Cache-Control", "no-cache")
+  res.setHeader("Connection", "keep-alive")
+  res.setHeader("X-Accel-Buffering", "no")
+  res.flushHeaders?.()
+
+  const client = { res, raw: req.query.raw === "1", tracker: tracker().id }
+  sseClients.add(client)
+  res.write("retry: 5000\n\n")
+
+  req.on("close", () => sseClients.delete(client))
+})
+
+// ─────────────────────────────────────────────
+// Button state (pauze / privacy)
+// ─────────────────────────────────────────────
+app.get("/api/buttons", requireScope("public"), (_req, res) => {
+  res.json(getButtonStates())
+})
+
+app.post("/api/buttons", requireScope("admin"), (req, res) => {
+  const { pause, privacy } = req.body || {}
+  const prev = getButtonStates()
+  // ontbrekend veld = ongewijzigd laten
+  const state = setButtonStates({
+    pause: pause === undefined ? prev.pause : pause,
+    privacy: privacy === undefined ? prev.privacy : privacy,
+  })
+  // waar je stond toen de pauze aan ging hoort niet als stop (of POI) terug te komen
+  if (state.pause && !prev.pause) tracker().stopDetector?.discard()
+  broadcastEvent("buttons", state, state)
+  res.json({ ok: true, ...state })
+})
+
+// Toggle-historie, om achteraf pauze/privacy-gaten te zien
+app.get("/api/buttons/history", requireScope("admin"), (_req, res) => {
+  res.json(readButtonLog())
+})
+
+// ─────────────────────────────────────────────
+// Bewegingsprofielen (filterdrempels per vervoermiddel)
+// ─────────────────────────────────────────────
+// "car" is de oude hardcoded default (15 m / 4 s / 160 km/h)
+const MOVEMENT_PROFILES = {
+  walk: { minDistM: 5, minTimeMs: 5000, maxSpeedKmh: 15 },
+  bike: { minDistM: 10, minTimeMs: 4000, maxSpeedKmh: 70 },
+  car: { minDistM: 15, minTimeMs: 4000, maxSpeedKmh: 160 },
+  train: { minDistM: 30, minTimeMs: 4000, maxSpeedKmh: 350 },
+  plane: { minDistM: 200, minTimeMs: 5000, maxSpeedKmh: 1000 },
+}
+
+// eigen keys alleen (geen "constructor"/"__proto__" via de prototype-keten)
+function isMovementProfile(name) {
+  return typeof name === "string" && Object.hasOwn(MOVEMENT_PROFILES, name)
+}
+
+// MOVEMENT_PROFILE bij het opstarten controleren: een typfout mag niet elke ingest laten falen
+const MOVEMENT_PROFILE_ENV = (process.env.MOVEMENT_PROFILE || "car").toLowerCase()
+const DEFAULT_MOVEMENT_PROFILE = isMovementProfile(MOVEMENT_PROFILE_ENV) ? MOVEMENT_PROFILE_ENV : "car"
+if (DEFAULT_MOVEMENT_PROFILE !== MOVEMENT_PROFILE_ENV) {
+  console.error(`❌ MOVEMENT_PROFILE=${process.env.MOVEMENT_PROFILE} is onbekend (${Object.keys(MOVEMENT_PROFILES).join(", ")}); car wordt gebruikt`)
+}
+
+// movementProfiles.json: { active, overrides: { <naam>: { minDistM?, minTimeMs?, maxSpeedKmh? } } }
+function readProfileConfig() {
+  const cfg = readJSON(files.movementProfiles) || {}
+  return {
+    active: isMovementProfile(cfg.active) ? cfg.active : DEFAULT_MOVEMENT_PROFILE,
+    overrides: cfg.overrides && typeof cfg.overrides === "object" ? cfg.overrides : {},
+  }
+}
+
+function listMovementProfiles(cfg = readProfileConfig()) {
+  const out = {}
+  for (const [name, base] of Object.entries(MOVEMENT_PROFILES)) {
+    out[name] = { ...base, ...(cfg.overrides[name] || {}) }
+  }
+  return out
+}
+
+// null = onbekende naam; zonder naam → actief profiel
+function resolveMovementProfile(name) {
+  const cfg = readProfileConfig()
+  const key = name ? String(name).toLowerCase() : cfg.active
+  if (!isMovementProfile(key)) return null
+  return { name: key, ...listMovementProfiles(cfg)[key] }
+}
+
+/**
+ * Afstand/tijd/snelheid-poort t.o.v. het vorige opgeslagen punt.
+ * Geeft de naam van de regel terug die het punt afwijst, of null.
+ */
+function movementGate(last, point, profile) {
+  if (!last || typeof last.lat !== "number" || typeof last.lon !== "number") return null
+  const dist = distanceMeters(last.lat, last.lon, point.lat, point.lon)
+  const dt = Math.max(1, pointTime(point) - (pointTime(last) ?? Date.now()))
+  const speed = (dist / (dt / 1000)) * 3.6
+
+  if (dist < profile.minDistM) return "tooClose"
+  if (dt < profile.minTimeMs) return "tooSoon"
+  if (speed > profile.maxSpeedKmh) return "tooFast"
+  return null
+}
+
+app.get("/api/profiles", requireScope("public"), (_req, res) => {
+  const cfg = readProfileConfig()
+  res.json({ active: cfg.active, profiles: listMovementProfiles(cfg) })
+})
+
+app.post("/api/profiles/active", requireScope("admin", { shared: true }), (req, res) => {
+  const name = (req.body?.profile || "").toString().toLowerCase()
+  if (!isMovementProfile(name)) {
+    return res.status(400).json({ error: "unknown profile", profiles: Object.keys(MOVEMENT_PROFILES) })
+  }
+  const cfg = readProfileConfig()
+  cfg.active = name
+  writeJSON(files.movementProfiles, cfg)
+  res.json({ ok: true, active: name, profile: listMovementProfiles(cfg)[name] })
+})
+
+// Drempels van een profiel aanpassen (alleen meegegeven velden); null = terug naar default
+app.put("/api/profiles/:name", requireScope("admin", { shared: true }), (req, res) => {
+  const name = req.params.name.toLowerCase()
+  if (!isMovementProfile(name)) return res.status(404).json({ error: "not found" })
+
+  const cfg = readProfileConfig()
+  const next = { ...(cfg.overrides[name] || {}) }
+  for (const field of ["minDistM", "minTimeMs", "maxSpeedKmh"]) {
+    const v = req.body?.[field]
+    if (v === undefined) continue
+    if (v === null) {
+      delete next[field]
+      continue
+    }
+    if (typeof v !== "number" || !isFinite(v) || v < 0) {
+      return res.status(400).json({ error: `${field} must be a non-negative number` })
+    }
+    next[field] = v
+  }
+  cfg.overrides[name] = next
+  writeJSON(files.movementProfiles, cfg)
+  res.json({ ok: true, name, profile: listMovementProfiles(cfg)[name] })
+})
+
+// ─────────────────────────────────────────────
+// Ingest filter pipeline: accuracy → spike (look-ahead) → profiel-poort → Kalman
+// ─────────────────────────────────────────────
+// FILTER_MAX_ACCURACY_M: punten met grotere `accuracy` (meters) worden geweigerd
+// FILTER_SPIKE_LOOKAHEAD=1: laatste punt wacht op het volgende voordat het wordt opgeslagen,
+//   zodat een losse uitschieter (heen én terug te snel) herkend wordt. Standaard uit: live,
+//   SSE en public lopen dan één punt achter (het laatste punt van een rit pas na
+//   FILTER_PENDING_FLUSH_MS). Het vastgehouden punt staat in filterPending.json en overleeft
+//   zo een herstart.
+// FILTER_REBASE_AFTER: na N opeenvolgende, onderling consistente "tooFast" punten is de
+//   basis zelf fout (of kwamen we uit een tunnel) → nieuwe basis accepteren
+// FILTER_KALMAN=1: positie gladstrijken met een Kalman filter (ruis uit `accuracy`)
+// ROUTE_RAW_LOG=1: alle binnenkomende punten (na privacy zones) ook in routeRaw.ndjson
+const FILTER_MAX_ACCURACY_M = Number(process.env.FILTER_MAX_ACCURACY_M || 50)
+const FILTER_SPIKE_LOOKAHEAD = process.env.FILTER_SPIKE_LOOKAHEAD === "1"
+const FILTER_PENDING_FLUSH_MS = Number(process.env.FILTER_PENDING_FLUSH_MS || 60_000)
+const FILTER_REBASE_AFTER = Number(process.env.FILTER_REBASE_AFTER || 3)
+const FILTER_KALMAN = process.env.FILTER_KALMAN === "1"
+const KALMAN_Q_MS = Number(process.env.KALMAN_Q_MS || 3) // verwachte snelheidsruis (m/s)
+const KALMAN_DEFAULT_ACCURACY_M = 10
+const ROUTE_RAW_LOG = process.env.ROUTE_RAW_LOG === "1"
+
+function speedKmhBetween(a, b) {
+  const dist = distanceMeters(a.lat, a.lon, b.lat, b.lon)
+  const dt = Math.max(1, (pointTime(b) ?? 0) - (pointTime(a) ?? 0))
+  return (dist / (dt / 1000)) * 3.6
+}
+
+// rejected: weggefilterde punten (ook een vrijgegeven look-ahead punt van een eerdere request),
+// zodat hun seq als afgehandeld geldt en een retry niet via de late-insert route alsnog binnenkomt
+function spikeStage(point, profile, dropped, rejected) {
+  const filterState = tracker().filterState
+  if (!FILTER_SPIKE_LOOKAHEAD) return [point]
+
+  const cand = filterState.pending
+  filterState.pending = point
+  filterState.pendingProfile = profile
+  if (!cand) return []
+
+  const prev = filterState.prevRaw
+  const limit = profile.maxSpeedKmh
+  if (
+    prev &&
+    speedKmhBetween(prev, cand) > limit &&
+    speedKmhBetween(cand, point) > limit &&
+    speedKmhBetween(prev, point) <= limit
+  ) {
+    dropped.spike++
+    rejected.push(cand)
+    return []
+  }
+  filterState.prevRaw = cand
+  return [cand]
+}
+
+function kalmanStage(point) {
+  const filterState = tracker().filterState
+  if (!FILTER_KALMAN) return point
+  const t = pointTime(point) ?? Date.now()
+  const acc = Math.max(1, point.accuracy ?? KALMAN_DEFAULT_ACCURACY_M)
+  const k = filterState.kalman
+
+  if (!k || t - k.t > SEGMENT_GAP_MS) {
+    filterState.kalman = { lat: point.lat, lon: point.lon, variance: acc * acc, t }
+    return point
+  }
+
+  const dt = Math.max(0, t - k.t) / 1000
+  const variance = k.variance + dt * KALMAN_Q_MS * KALMAN_Q_MS
+  const gain = variance / (variance + acc * acc)
+  k.lat += gain * (point.lat - k.lat)
+  k.lon += gain * (point.lon - k.lon)
+  k.variance = (1 - gain) * variance
+  k.t = t
+
+  return { ...point, lat: Math.round(k.lat * 1e6) / 1e6, lon: Math.round(k.lon * 1e6) / 1e6 }
+}
+
+// profiel-poort + rebase; geeft het (evt. gladgestreken) punt terug of null
+function gateStage(point, profile, dropped, counters, rejected = []) {
+  const filterState = tracker().filterState
+  const rule = movementGate(tracker().lastRoutePoint, point, profile)
+
+  if (rule === "tooFast") {
+    const streak = filterState.fastStreak
+    const prevFast = streak[streak.length - 1]
+    if (prevFast && speedKmhBetween(prevFast, point) > profile.maxSpeedKmh) streak.length = 0
+    streak.push(point)
+    if (streak.length < FILTER_REBASE_AFTER) {
+      dropped.tooFast++
+      rejected.push(point)
+      return null
+    }
+    // basis was fout (of grote sprong na tunnel): opnieuw beginnen vanaf dit punt
+    filterState.fastStreak = []
+    filterState.kalman = null
+    counters.rebased++
+  } else {
+    filterState.fastStreak = []
+    if (rule) {
+      dropped[rule]++
+      rejected.push(point)
+      return null
+    }
+  }
+
+  const out = kalmanStage(point)
+  tracker().lastRoutePoint = out
+  return out
+}
+
+/**
+ * Eén genormaliseerd punt door de pipeline. Geeft 0..n punten terug die opgeslagen moeten worden
+ * (look-ahead kan een eerder punt vrijgeven).
+ */
+function filterIngestPoint(point, profile, dropped, counters, rejected) {
+  if (typeof point.accuracy === "number" && point.accuracy > FILTER_MAX_ACCURACY_M) {
+    dropped.inaccurate++
+    return []
+  }
+
+  const out = []
+  for (const cand of spikeStage(point, profile, dropped, rejected)) {
+    const accepted = gateStage(cand, profile, dropped, counters, rejected)
+    if (accepted) out.push(accepted)
+  }
+  schedulePendingFlush()
+  return out
+}
+
+function resetIngestFilterState() {
+  const filterState = tracker().filterState
+  if (filterState.pendingTimer) clearTimeout(filterState.pendingTimer)
+  filterState.prevRaw = null
+  filterState.pending = null
+  filterState.pendingProfile = null
+  filterState.pendingTimer = null
+  filterState.fastStreak = []
+  filterState.kalman = null
+  persistPendingPoint()
+}
+
+// filterPending.json: seq/device zijn Symbols op het punt en gaan er los in
+function persistPendingPoint() {
+  const { pending, pendingProfile, prevRaw } = tracker().filterState
+  const data = pending
+    ? { point: pending, seq: pending[SEQ] ?? null, deviceId: pending[INGEST_DEVICE] ?? null, profile: pendingProfile?.name || null, prevRaw }
+    : null
+  writeJSON(files.filterPending, data)
+}
+
+// boot: vastgehouden punt terug (profiel op naam, overrides van nu), flush-timer opnieuw
+function restorePendingPoint() {
+  const data = readJSON(files.filterPending)
+  const point = data?.point
+  if (!point || typeof point.lat !== "number" || typeof point.lon !== "number") return
+  if (data.seq !== null && data.deviceId) {
+    point[SEQ] = data.seq
+    point[INGEST_DEVICE] = data.deviceId
+  }
+  const filterState = tracker().filterState
+  filterState.pending = point
+  filterState.pendingProfile = resolveMovementProfile(data.profile) || resolveMovementProfile()
+  filterState.prevRaw = data.prevRaw || null
+  // look-ahead inmiddels uitgezet: niet wachten op een volgend punt dat niet meer komt
+  if (!FILTER_SPIKE_LOOKAHEAD) flushPendingPoint()
+  else schedulePendingFlush()
+}
+
+// Als de tracker stopt met sturen blijft het look-ahead punt niet eeuwig hangen
+function schedulePendingFlush() {
+  const filterState = tracker().filterState
+  if (filterState.pendingTimer) clearTimeout(filterState.pendingTimer)
+  filterState.pendingTimer = null
+  if (!filterState.pending) return
+
+  filterState.pendingTimer = setTimeout(() => flushPendingPoint(), FILTER_PENDING_FLUSH_MS)
+  filterState.pendingTimer.unref?.()
+}
+
+/**
+ * Look-ahead punt nu door de poort en opslaan (timer, of vóór de filter-state gereset wordt).
+ * transform (retroactieve redactie): punt eerst aanpassen; null = weggooien.
+ */
+function flushPendingPoint(transform = null) {
+  const filterState = tracker().filterState
+  if (filterState.pendingTimer) clearTimeout(filterState.pendingTimer)
+  filterState.pendingTimer = null
+  const cand = filterState.pending
+  const profile = filterState.pendingProfile
+  filterState.pending = null
+  if (!cand || !profile) return
+
+  filterState.prevRaw = cand
+  const kept = transform ? transform(cand) : cand
+  const dropped = { tooClose: 0, tooSoon: 0, tooFast: 0 }
+  const accepted = kept ? gateStage(kept, profile, dropped, { rebased: 0 }) : null
+  try {
+    // weggefilterd is ook definitief afgehandeld
+    if (accepted) storeRoutePoints([accepted])
+    persistPendingPoint()
+    if (ackStoredSeqs([accepted || cand])) persistIngestDevices()
+    if (!accepted) return
+    schedulePublicRouteRebuild()
+    broadcastRoutePoints([accepted])
+    trackLiveStops([accepted])
+    maybeRotateRoute()
+  } catch (e) {
+    console.error("❌ pending point flush failed:", e?.message || e)
+  }
+}
+
+// ─────────────────────────────────────────────
+// Idempotente ingest: deviceId + seq / batchId (offline buffer + retries van de app)
+// ─────────────────────────────────────────────
+// Body: { deviceId, batchId?, points: [{ lat, lon, timestamp, seq, ... }] } (of X-Device-Id header
+// bij een kale array). Per device onthouden we tot welke seq alles binnen is ("ackedThrough") plus
+// de losse seqs daarboven, en een samenvatting (aantallen) van de laatste INGEST_BATCH_MEMORY batches.
+// seq: oplopend per device, de basis (0, 1, …) is vrij: het laagste seq van de eerste afgehandelde
+// request telt als begin. Een app moet dus niet eerst nieuwe en pas later oudere seqs sturen.
+// Punten ouder dan het laatste opgeslagen punt worden op tijdsvolgorde ingevoegd i.p.v. weggegooid.
+const INGEST_SEQ_WINDOW = Number(process.env.INGEST_SEQ_WINDOW || 10_000)
+const INGEST_BATCH_MEMORY = Number(process.env.INGEST_BATCH_MEMORY || 200)
+const ROUTE_INSERT_MAX_TAIL_MB = Number(process.env.ROUTE_INSERT_MAX_TAIL_MB || 32)
+const DEVICE_ID_RE = /^[\w.:-]{1,64}$/
+const SEQ = Symbol("seq") // reist mee door de filter pipeline (ook door {...point}), niet in JSON
+const INGEST_DEVICE = Symbol("ingestDevice")
+
+function getIngestDevices() {
+  if (!tracker().ingestDevices) {
+    const data = readJSON(files.ingestDevices)
+    tracker().ingestDevices = data && typeof data === "object" && !Array.isArray(data) ? data : {}
+    // van vóór de vrije basis: een device dat bij 1 begon bleef op -1 staan met alles in `above`
+    for (const dev of Object.values(tracker().ingestDevices)) {
+      if (dev.ackedThrough !== -1 || !dev.above?.length) continue
+      dev.ackedThrough = dev.above[0] - 1
+      advanceAckedThrough(dev)
+    }
+  }
+  return tracker().ingestDevices
+}
+
+function ingestDevice(id) {
+  const all = getIngestDevices()
+  if (!all[id]) all[id] = { ackedThrough: -1, above: [], batches: [], lastSeenAt: null }
+  return all[id]
+}
+
+function parseSeq(v) {
+  return Number.isSafeInteger(v) && v >= 0 ? v : null
+}
+
+// eerste index in de gesorteerde array met waarde >= seq
+function seqSlot(list, seq) {
+  let lo = 0
+  let hi = list.length
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1
+    if (list[mid] < seq) lo = mid + 1
+    else hi = mid
+  }
+  return lo
+}
+
+function seqSeen(dev, seq) {
+  if (seq <= dev.ackedThrough) return true
+  const i = seqSlot(dev.above, seq)
+  return dev.above[i] === seq
+}
+
+function advanceAckedThrough(dev) {
+  let i = 0
+  while (i < dev.above.length && dev.above[i] === dev.ackedThrough + 1) dev.ackedThrough = dev.above[i++]
+  if (i) dev.above = dev.above.slice(i)
+}
+
+// aanroepers geven seqs oplopend, zodat het eerste seq van een nieuw device het laagste is
+function markSeqSeen(dev, seq) {
+  if (seqSeen(dev, seq)) return
+  if (dev.ackedThrough === -1 && !dev.above.length) dev.ackedThrough = seq - 1
+  dev.above.splice(seqSlot(dev.above, seq), 0, seq)
+  advanceAckedThrough(dev)
+  // gat dat nooit meer gevuld wordt: niet eindeloos seqs bewaren
+  if (dev.above.length > INGEST_SEQ_WINDOW) {
+    dev.ackedThrough = dev.above[dev.above.length - INGEST_SEQ_WINDOW - 1]
+    dev.above = dev.above.slice(-INGEST_SEQ_WINDOW)
+  }
+}
+
+// Een seq telt pas als binnen als het punt echt opgeslagen is (ook het look-ahead punt, dat pas bij
+// een volgende request of de flush-timer wordt weggeschreven); tot dan mag de app het opnieuw sturen.
+function ackStoredSeqs(points) {
+  let acked = 0
+  for (const p of points.filter((q) => q[SEQ] !== undefined).sort((a, b) => a[SEQ] - b[SEQ])) {
+    const seq = p[SEQ]
+    const deviceId = p[INGEST_DEVICE]
+    if (seq === undefined || !deviceId) continue
+    markSeqSeen(ingestDevice(deviceId), seq)
+    acked++
+  }
+  return acked
+}
+
+// alleen aantallen per seq-lijst bewaren: ingestDevices.json wordt bij elke device-POST herschreven
+function rememberIngestBatch(dev, batchId, result) {
+  const counts = {}
+  for (const [key, v] of Object.entries(result.device)) counts[key] = Array.isArray(v) ? v.length : v
+  dev.batches.push({ id: batchId, at: new Date().toISOString(), result: { ...result, device: counts } })
+  if (dev.batches.length > INGEST_BATCH_MEMORY) dev.batches.splice(0, dev.batches.length - INGEST_BATCH_MEMORY)
+}
+
+function persistIngestDevices() {
+  try {
+    writeJSON(files.ingestDevices, getIngestDevices())
+  } catch (e) {
+    console.error("❌ ingestDevices write failed:", e?.message || e)
+  }
+}
+
+// envelope of kale array/object → { points, deviceId, batchId } of { error }
+function parseIngestBody(req) {
+  const body = req.body
+  const envelope = body && !Array.isArray(body) && Array.isArray(body.points)
+  const points = envelope ? body.points : Array.isArray(body) ? body : [body]
+  const deviceId = (envelope ? body.deviceId : null) ?? req.get("X-Device-Id") ?? req.query.deviceId ?? null
+  const batchId = (envelope ? body.batchId : null) ?? req.get("X-Batch-Id") ?? null
+
+  if (deviceId !== null && (typeof deviceId !== "string" || !DEVICE_ID_RE.test(deviceId))) {
+    return { error: "deviceId must be 1-64 chars [A-Za-z0-9_.:-]" }
+  }
+  if (batchId !== null && (typeof batchId !== "string" || !batchId || batchId.length > 128)) {
+    return { error: "batchId must be a string of max 128 chars" }
+  }
+  if (batchId !== null && deviceId === null) return { error: "batchId requires deviceId" }
+  return { points, deviceId, batchId }
+}
+
+app.get("/api/ingest/devices", requireScope("admin"), (req, res) => {
+  const all = getIngestDevices()
+  res.json(
+    Object.entries(all).map(([id, d]) => ({
+      id,
+      ackedThrough: d.ackedThrough,
+      pendingSeqs: d.above.length,
+      batches: d.batches.length,
+      lastSeenAt: d.lastSeenAt,
+    }))
+  )
+})
+
+// reset na herinstallatie van de app (seqs beginnen opnieuw)
+app.delete("/api/ingest/devices/:id", requireScope("admin"), (req, res) => {
+  const all = getIngestDevices()
+  if (!all[req.params.id]) return res.status(404).json({ error: "not found" })
+  delete all[req.params.id]
+  persistIngestDevices()
+  res.json({ ok: true })
+})
+
+// ─────────────────────────────────────────────
+// Route ingest / read / reset (endpoints onveranderd)
+// ─────────────────────────────────────────────
+app.post("/api/route", requireScope("ingest"), (req, res) => {
+  const body = parseIngestBody(req)
+  if (body.error) return res.status(400).json({ error: body.error })
+  const { deviceId, batchId } = body
+
+  // ?profile=train (per request) of het actieve profiel
+  const profile = resolveMovementProfile(req.query.profile)
+  if (!profile) {
+    return res.status(400).json({ error: "unknown profile", profiles: Object.keys(MOVEMENT_PROFILES) })
+  }
+
+  // retry van een batch die al verwerkt is → zelfde antwoord, niets opnieuw opslaan
+  const device = deviceId ? ingestDevice(deviceId) : null
+  const seen = device && batchId ? device.batches.find((b) => b.id === batchId) : null
+  if (seen) {
+    return res.json({ ...seen.result, device: { ...seen.result.device, ackedThrough: device.ackedThrough }, duplicate: true })
+  }
+
+  let added = 0
+  let redacted = 0
+  const dropped = {
+    invalid: 0,
+    badTimestamp: 0,
+    inaccurate: 0,
+    spike: 0,
+    tooClose: 0,
+    tooSoon: 0,
+    tooFast: 0,
+    duplicate: 0,
+    tooOld: 0,
+  }
+  const addedPoints = []
+  const { pause, privacy } = getButtonStates()
+  const modes = { pause, privacy }
+
+  // seqs die we al hebben eruit; een device-batch op tijd sorteren (offline buffer kan door elkaar staan)
+  // (pas gemarkeerd als gezien in respond(), nadat alles opgeslagen is)
+  const seqs = { accepted: [], duplicates: [], filtered: [], invalid: [], paused: [], pending: [] }
+  const incoming = []
+  const batchSeqs = new Set()
+  const held = tracker().filterState.pending
+  const heldSeq = held && held[INGEST_DEVICE] === deviceId ? held[SEQ] : undefined
+  for (const p of body.points) {
+    const seq = device ? parseSeq(p?.seq) : null
+    if (seq !== null && seq === heldSeq) {
+      // retry van het look-ahead punt: staat nog klaar, wordt later pas opgeslagen
+      seqs.pending.push(seq)
+      continue
+    }
+    if (seq !== null && (seqSeen(device, seq) || batchSeqs.has(seq))) {
+      seqs.duplicates.push(seq)
+      dropped.duplicate++
+      continue
+    }
+    if (seq !== null) batchSeqs.add(seq)
+    incoming.push({ p, seq })
+  }
+  if (device) {
+    // zonder (geldige) timestamp achteraan; sort is stabiel
+    const t = ({ p }) => {
+      const ms = p?.timestamp ? new Date(p.timestamp).getTime() : NaN
+      return Number.isFinite(ms) ? ms : Number.MAX_SAFE_INTEGER
+    }
+    incoming.sort((a, b) => t(a) - t(b))
+  }
+  const noteSeq = (list, seq) => seq !== null && list.push(seq)
+
+  const respond = (result) => {
+    if (device) {
+      const handled = [...seqs.accepted, ...seqs.duplicates, ...seqs.filtered, ...seqs.invalid, ...seqs.paused]
+      for (const seq of handled.sort((a, b) => a - b)) markSeqSeen(device, seq)
+      result.batchId = batchId
+      result.device = { id: deviceId, ackedThrough: device.ackedThrough, ...seqs }
+      device.lastSeenAt = new Date().toISOString()
+      if (batchId) rememberIngestBatch(device, batchId, result)
+      persistIngestDevices()
+    }
+    return res.json(result)
+  }
+
+  // Pauze: niet in de route; afhankelijk van PAUSE_MODE bufferen of weggooien
+  if (pause) {
+    let paused = 0
+    for (const { p, seq } of incoming) {
+      if (typeof p?.lat !== "number" || typeof p?.lon !== "number") {
+        dropped.invalid++
+        noteSeq(seqs.invalid, seq)
+        continue
+      }
+      if (inDropZone(p.lat, p.lon)) {
+        redacted++
+        noteSeq(seqs.filtered, seq)
+        continue
+      }
+      const point = toRoutePoint(p)
+      if (!point) {
+        dropped.badTimestamp++
+        noteSeq(seqs.invalid, seq)
+        continue
+      }
+      if (PAUSE_MODE === "buffer") fs.appendFileSync(files.routePaused, JSON.stringify(point) + "\n", "utf-8")
+      paused++
+      noteSeq(seqs.paused, seq)
+    }
+    return respond({ ok: true, added, redacted, paused, pauseMode: PAUSE_MODE, dropped, routeFormat: tracker().routeFormat, modes })
+  }
+
+  const rawPoints = []
+  const latePoints = []
+  const rejected = []
+  const counters = { rebased: 0 }
+  const processed = []
+
+  for (const { p, seq } of incoming) {
+    if (typeof p?.lat !== "number" || typeof p?.lon !== "number") {
+      dropped.invalid++
+      noteSeq(seqs.invalid, seq)
+      continue
+    }
+
+    if (inDropZone(p.lat, p.lon)) {
+      redacted++
+      noteSeq(seqs.filtered, seq)
+      continue
+    }
+
+    const point = toRoutePoint(p)
+    if (!point) {
+      dropped.badTimestamp++
+      noteSeq(seqs.invalid, seq)
+      continue
+    }
+    if (seq !== null) {
+      point[SEQ] = seq
+      point[INGEST_DEVICE] = deviceId
+    }
+    if (ROUTE_RAW_LOG) rawPoints.push(point)
+
+    // device-punt ouder dan wat er al ligt (ook het look-ahead punt): invoegen, niet door de poort
+    const newest = Math.max(pointTime(tracker().lastRoutePoint) ?? -Infinity, pointTime(tracker().filterState.pending) ?? -Infinity)
+    if (device && pointTime(point) < newest) {
+      if (typeof point.accuracy === "number" && point.accuracy > FILTER_MAX_ACCURACY_M) {
+        dropped.inaccurate++
+        noteSeq(seqs.filtered, seq)
+      } else {
+        latePoints.push(point)
+      }
+      continue
+    }
+    if (seq !== null) processed.push(seq)
+
+    for (const accepted of filterIngestPoint(point, profile, dropped, counters, rejected)) {
+      addedPoints.push(accepted)
+      added++
+    }
+  }
+
+  if (rawPoints.length) {
+    fs.appendFileSync(files.routeRaw, rawPoints.map((p) => JSON.stringify(p) + "\n").join(""), "utf-8")
+  }
+
+  if (added) {
+    // NDJSON: append-only, geen gigantische JSON.parse meer
+    storeRoutePoints(addedPoints)
+    schedulePublicRouteRebuild()
+    broadcastRoutePoints(addedPoints)
+    trackLiveStops(addedPoints)
+    maybeRotateRoute()
+  }
+  // opgeslagen en weggefilterd = afgehandeld, o.a. een vrijgegeven look-ahead punt van een eerdere
+  // request (evt. ander device; respond() schrijft alleen bij een device-request)
+  if (ackStoredSeqs([...addedPoints, ...rejected]) && !device) persistIngestDevices()
+  // pas na het opslaan van wat het vorige look-ahead punt vrijgaf
+  if (tracker().filterState.pending !== held) persistPendingPoint()
+
+  let late = 0
+  if (latePoints.length) {
+    const r = insertRoutePoints(latePoints)
+    late = r.inserted.length
+    dropped.duplicate += r.duplicates.length
+    dropped.tooOld += r.tooOld.length
+    for (const q of r.inserted) noteSeq(seqs.accepted, q[SEQ] ?? null)
+    for (const q of r.duplicates) noteSeq(seqs.duplicates, q[SEQ] ?? null)
+    for (const q of r.tooOld) noteSeq(seqs.filtered, q[SEQ] ?? null)
+    if (late) announceLateInsert(r)
+  }
+
+  if (device) {
+    const pending = tracker().filterState.pending
+    const pendingSeq = pending && pending[INGEST_DEVICE] === deviceId ? pending[SEQ] : null
+    for (const q of addedPoints) if (q[INGEST_DEVICE] === deviceId) noteSeq(seqs.accepted, q[SEQ] ?? null)
+    const accepted = new Set(seqs.accepted)
+    const filtered = new Set(seqs.filtered)
+    for (const q of rejected) if (q[INGEST_DEVICE] === deviceId && q[SEQ] !== undefined) filtered.add(q[SEQ])
+    // vastgehouden punt is nu opgeslagen of alsnog weggefilterd
+    seqs.pending = seqs.pending.filter((seq) => !accepted.has(seq) && !filtered.has(seq))
+    for (const seq of processed) {
+      if (seq === pendingSeq) seqs.pending.push(seq)
+      else if (!accepted.has(seq)) filtered.add(seq)
+    }
+    seqs.filtered = [...filtered]
+  }
+
+  return respond({
+    ok: true,
+    added,
+    late,
+    redacted,
+    dropped,
+    rebased: counters.rebased,
+    pending: tracker().filterState.pending ? 1 : 0,
+    profile: profile.name,
+    routeFormat: tracker().routeFormat,
+    modes,
+  })
+})
+
+// midden in de log ingevoegd: public file (gebundeld) en geraakte tiles opnieuw, clients opnieuw laten syncen
+function announceLateInsert(r) {
+  scheduleLateInsertRebuild()
+  if (r.touched) invalidateTilesForPoints(r.touched, { continuous: false })
+  else wipeTileCache()
+  broadcastEvent("route-changed", { reason: "late-insert", points: r.inserted.length }, { reason: "late-insert" })
+}
+
+// ─────────────────────────────────────────────
+// Pauzebuffer (PAUSE_MODE=buffer): bekijken, alsnog in de route zetten of weggooien
+// ─────────────────────────────────────────────
+function readPausedPoints() {
+  let text = ""
+  try {
+    text = fs.readFileSync(files.routePaused, "utf-8")
+  } catch {}
+  return text
+    .split(/\r?\n/)
+    .map((l) => (l.trim() ? safeParseJSONLine(l) : null))
+    .filter((p) => p && typeof p.lat === "number" && typeof p.lon === "number" && pointTime(p) !== null)
+}
+
+function writePausedPoints(points) {
+  if (!points.length) {
+    fs.rmSync(files.routePaused, { force: true })
+    return
+  }
+  const tmp = files.routePaused + ".tmp"
+  fs.writeFileSync(tmp, points.map((p) => JSON.stringify(p) + "\n").join(""), "utf-8")
+  fs.renameSync(tmp, files.routePaused)
+}
+
+app.get("/api/route/paused", requireScope("admin"), (_req, res) => {
+  const points = readPausedPoints()
+  const times = points.map(pointTime)
+  res.json({
+    pauseMode: PAUSE_MODE,
+    count: points.length,
+    from: points.length ? new Date(Math.min(...times)).toISOString() : null,
+    to: points.length ? new Date(Math.max(...times)).toISOString() : null,
+  })
+})
+
+// Op tijdsvolgorde invoegen (zoals late device-punten, dus zonder filterpoort); wat te ver terug ligt
+// (ROUTE_INSERT_MAX_TAIL_MB) blijft in de buffer staan
+app.post("/api/route/paused/replay", requireScope("admin"), (_req, res) => {
+  try {
+    const points = readPausedPoints()
+    if (!points.length) return res.json({ ok: true, inserted: 0, duplicates: 0, tooOld: 0 })
+    const r = insertRoutePoints(points)
+    writePausedPoints(r.tooOld)
+    if (r.inserted.length) {
+      const newest = r.inserted.reduce((a, b) => (pointTime(b) > pointTime(a) ? b : a))
+      if (pointTime(newest) > (pointTime(tracker().lastRoutePoint) ?? -Infinity)) tracker().lastRoutePoint = newest
+      announceLateInsert(r)
+    }
+    res.json({ ok: true, inserted: r.inserted.length, duplicates: r.duplicates.length, tooOld: r.tooOld.length })
+  } catch (e) {
+    console.error("paused replay failed:", e?.message || e)
+    res.status(500).json({ error: "replay failed" })
+  }
+})
+
+app.post("/api/route/paused/discard", requireScope("admin"), (_req, res) => {
+  const discarded = readPausedPoints().length
+  fs.rmSync(files.routePaused, { force: true })
+  res.json({ ok: true, discarded })
+})
+
+app.get("/api/route", requireScope("admin"), async (req, res) => {
+  try {
+    const query = parseRouteQuery(req.query)
+    if (query.error) return res.status(query.status || 400).json({ error: query.error })
+    await streamRouteAsJsonArray(res, { redact: false, query })
+  } catch (e) {
+    console.error("api/route failed:", e?.message || e)
+    res.status(500).json({ error: "route read failed" })
+  }
+})
+
+// ─────────────────────────────────────────────
+// Route reset → backup + prullenbak (trash.json), restore/purge
+// ─────────────────────────────────────────────
+// Reset verplaatst de log naar routeData.json.bak-YYYYMMDDHHMMSS (zoals migrate-route-to-ndjson.js);
+// backups ouder dan TRASH_RETENTION_DAYS worden automatisch opgeruimd.
+const TRASH_RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS || 14)
+
+function backupStamp() {
+  const d = new Date()
+  const pad = (n) => String(n).padStart(2, "0")
+  return (
+    d.getFullYear() +
+    pad(d.getMonth() + 1) +
+    pad(d.getDate()) +
+    pad(d.getHours()) +
+    pad(d.getMinutes()) +
+    pad(d.getSeconds())
+  )
+}
+
+function readTrash() {
+  const list = readJSON(files.trash)
+  return Array.isArray(list) ? list : []
+}
+
+// uit de index als die bij de huidige file hoort, anders (index laadt nog / ongeldig na een late
+// insert) regels tellen
+function routeIndexCount() {
+  const idx = tracker().routeIndex
+  if (idx && idx.bytes === fileSize(files.route)) return idx.blocks.reduce((n, b) => n + b.count, 0) + idx.tail.count
+  return countNdjsonLines(files.route)
+}
+
+// niet-lege regels, in blokken gelezen (log kan honderden MB zijn)
+function countNdjsonLines(file) {
+  let count = 0
+  let fd
+  try {
+    fd = fs.openSync(file, "r")
+  } catch {
+    return 0
+  }
+  try {
+    const buf = Buffer.alloc(1024 * 1024)
+    let lineLen = 0
+    let n
+    while ((n = fs.readSync(fd, buf, 0, buf.length, null)) > 0) {
+      let i0 = 0
+      let nl
+      while ((nl = buf.indexOf(10, i0)) !== -1 && nl < n) {
+        const len = lineLen + nl - i0
+        if (len > 1 || (len === 1 && buf[nl - 1] !== 13)) count++ // lege regel / alleen \r niet
+        lineLen = 0
+        i0 = nl + 1
+      }
+      lineLen += n - i0
+    }
+    if (lineLen) count++
+  } finally {
+    fs.closeSync(fd)
+  }
+  return count
+}
+
+// Verplaatst de huidige log naar een backup + trash entry; laat een lege log achter
+function moveRouteToTrash(reason) {
+  let backupPath = `${files.route}.bak-${backupStamp()}`
+  if (fs.existsSync(backupPath)) backupPath += `-${crypto.randomBytes(2).toString("hex")}`
+
+  const entry = {
+    id: crypto.randomBytes(6).toString("hex"),
+    file: path.basename(backupPath),
+    format: tracker().routeFormat,
+    bytes: fileSize(files.route),
+    count: tracker().routeFormat === "ndjson" ? routeIndexCount() : (readJSON(files.route) || []).length,
+    lastPoint: tracker().lastRoutePoint?.timestamp || null,
+    reason,
+    deletedAt: new Date().toISOString(),
+    expiresAt: new Date(Date.now() + TRASH_RETENTION_DAYS * 24 * 3600_000).toISOString(),
+  }
+
+  fs.renameSync(files.route, backupPath)
+  if (tracker().routeFormat === "ndjson") fs.writeFileSync(files.route, "", "utf-8")
+  else writeJSON(files.route, [])
+
+  const list = readTrash()
+  list.push(entry)
+  writeJSON(files.trash, list)
+  return entry
+}
+
+function purgeTrashEntries(shouldPurge) {
+  const keep = []
+  const purged = []
+  for (const e of readTrash()) {
+    if (!shouldPurge(e)) {
+      keep.push(e)
+      continue
+    }
+    try {
+      fs.unlinkSync(path.join(tracker().dir, e.file))
+    } catch {
+      // al weg → entry toch opruimen
+    }
+    purged.push(e)
+  }
+  if (purged.length) writeJSON(files.trash, keep)
+  return purged
+}
+
+function purgeExpiredTrash() {
+  const now = Date.now()
+  const purged = purgeTrashEntries((e) => new Date(e.expiresAt).getTime() <= now)
+  if (purged.length) console.log(`🗑️ ${purged.length} verlopen route-backup(s) opgeruimd`)
+}
+
+setInterval(() => forEachTracker(purgeExpiredTrash), 3600_000).unref()
+
+// State na het wisselen van de log: last point, filters, index en public file opnieuw
+function reloadRouteState() {
+  tracker().lastRoutePoint = null
+  tracker().stopDetector = null
+  initRouteState()
+  resetIngestFilterState()
+  tracker().routeIndex = null
+  void loadRouteIndex({ forceRebuild: true })
+
+  // meteen rebuilden i.p.v. debounce
+  tracker().lastPublicGeojsonAt = 0
+  if (tracker().publicGeojsonTimer) {
+    clearTimeout(tracker().publicGeojsonTimer)
+    tracker().publicGeojsonTimer = null
+  }
+  void rebuildPublicRouteGeoJSON()
+}
+
+app.post("/api/route/reset", requireScope("admin"), (_req, res) => {
+  try {
+    const entry = moveRouteToTrash("reset")
+    reloadRouteState()
+    res.json({ ok: true, backup: entry })
+  } catch (e) {
+    console.error("route reset failed:", e?.message || e)
+    res.status(500).json({ error: "reset failed" })
+  }
+})
+
+app.get("/api/route/trash", requireScope("admin"), (_req, res) => {
+  res.json({ retentionDays: TRASH_RETENTION_DAYS, items: readTrash() })
+})
+
+/**
+ * Zet een backup terug.
+ * mode=merge (default): backup + punten die sinds de reset binnenkwamen
+ * mode=replace: huidige log gaat zelf naar de prullenbak
+ */
+app.post("/api/route/trash/:id/restore", requireScope("admin"), async (req, res) => {
+  try {
+    const mode = String(req.query.mode || req.body?.mode || "merge")
+    if (!["merge", "replace"].includes(mode)) return res.status(400).json({ error: "mode must be merge or replace" })
+
+    const list = readTrash()
+    const entry = list.find((e) => e.id === req.params.id)
+    if (!entry) return res.status(404).json({ error: "Not found" })
+    if (entry.format !== tracker().routeFormat) {
+      return res.status(409).json({ error: `backup is ${entry.format}, live log is ${tracker().routeFormat}` })
+    }
+
+    const backupPath = path.join(tracker().dir, entry.file)
+    if (!fs.existsSync(backupPath)) return res.status(410).json({ error: "backup file is gone" })
+
+    let swapped = null
+    if (mode === "replace") {
+      const hasPoints = tracker().routeFormat === "ndjson" ? fileSize(files.route) > 0 : (readJSON(files.route) || []).length > 0
+      if (hasPoints) swapped = moveRouteToTrash("restore")
+      fs.renameSync(backupPath, files.route)
+    } else if (tracker().routeFormat === "ndjson") {
+      // backup is ouder dan alles wat sinds de reset binnenkwam → backup eerst
+      const tmp = files.route + ".restore.tmp"
+      fs.copyFileSync(backupPath, tmp)
+      const size = fileSize(files.route)
+      if (size) {
+        const headSize = fileSize(tmp)
+        if (headSize && readFileBytes(tmp, headSize - 1, 1)[0] !== 0x0a) fs.appendFileSync(tmp, "\n")
+        // streamen (log kan honderden MB zijn); wat tijdens het kopiëren binnenkwam daarna synchroon
+        await pipeline(fs.createReadStream(files.route, { end: size - 1 }), fs.createWriteStream(tmp, { flags: "a" }))
+        const rest = fileSize(files.route) - size
+        if (rest > 0) fs.appendFileSync(tmp, readFileBytes(files.route, size, rest))
+      }
+      fs.renameSync(tmp, files.route)
+      fs.unlinkSync(backupPath)
+    } else {
+      const merged = [...(readJSON(backupPath) || []), ...(readJSON(files.route) || [])]
+      writeJSON(files.route, merged)
+      fs.unlinkSync(backupPath)
+    }
+
+    writeJSON(files.trash, readTrash().filter((e) => e.id !== entry.id))
+    reloadRouteState()
+    res.json({ ok: true, restored: entry, mode, swapped })
+  } catch (e) {
+    console.error("route restore failed:", e?.message || e)
+    res.status(500).json({ error: "restore failed" })
+  }
+})
+
+app.delete("/api/route/trash/:id", requireScope("admin"), (req, res) => {
+  const purged = purgeTrashEntries((e) => e.id === req.params.id)
+  if (!purged.length) return res.status(404).json({ error: "Not found" })
+  res.json({ ok: true, purged })
+})
+
+// ?all=1 → alles weg, anders alleen verlopen backups
+app.post("/api/route/trash/purge", requireScope("admin"), (req, res) => {
+  const all = String(req.query.all || "") === "1"
+  const now = Date.now()
+  const purged = purgeTrashEntries((e) => all || new Date(e.expiresAt).getTime() <= now)
+  res.json({ ok: true, purged: purged.length })
+})
+
+app.get("/api/route.geojson", requireScope("public"), async (req, res) => {
+  try {
+    const query = parseRouteQuery(req.query)
+    if (query.error) return res.status(query.status || 400).json({ error: query.error })
+
+    // ?split=1 → feature per segment, ?split=multi → één MultiLineString
+    const split = (req.query.split || "").toString()
+    if (split && split !== "0") {
+      await streamRouteSegmentsAsGeoJSON(res, {
+        redact: true,
+        mode: split === "multi" ? "multi" : "features",
+        query,
+        ...segmentOptionsFromQuery(req.query),
+      })
+      return
+    }
+    // ?tolerance=<m> of ?zoom=<z> → vereenvoudigd
+    await streamRouteAsGeoJSON(res, { redact: true, toleranceM: simplifyToleranceFromQuery(req.query), query })
+  } catch (e) {
+    console.error("geojson stream failed:", e?.message || e)
+    res.status(500).json({ error: "geojson build failed" })
+  }
+})
+
+// Segmentenlijst met stats (query: gapSec, jumpM, redact=0 voor ruw → admin)
+app.get("/api/route/segments", requireScope(scopeForRedactQuery), async (req, res) => {
+  try {
+    const redact = req.query.redact !== "0"
+    const segments = await computeRouteSegments({ redact, ...segmentOptionsFromQuery(req.query) })
+    res.json({ count: segments.length, segments })
+  } catch (e) {
+    console.error("route/segments failed:", e?.message || e)
+    res.status(500).json({ error: "segments failed" })
+  }
+})
+
+// ?simplified=1 → vooraf gebouwde variant (PUBLIC_SIMPLIFY_TOLERANCE_M)
+app.get("/api/route/public-file", requireScope("public"), (req, res) => {
+  const file = req.query.simplified === "1" ? files.routePublicSimplified : files.routePublic
+  if (!fs.existsSync(file)) {
+    return res.status(404).json({ error: "Not found" })
+  }
+  res.setHeader("Content-Type", "application/geo+json; charset=utf-8")
+  res.setHeader("Cache-Control", "no-cache")
+  fs.createReadStream(file).pipe(res)
+})
+
+app.post("/api/route/rebuild-geojson", requireScope("admin"), async (_req, res) => {
+  try {
+    await rebuildPublicRouteGeoJSON({ reason: "manual" })
+    tracker().lastPublicGeojsonAt = Date.now()
+    res.json({ ok: true, rebuild: tracker().publicRebuildStats })
+  } catch (e) {
+    console.error("rebuild-geojson failed:", e?.message || e)
+    res.status(500).json({ error: "rebuild failed" })
+  }
+})
+
+// Archieven (gecomprimeerde oude logs) met aantallen en tijdspanne
+app.get("/api/route/archives", requireScope("admin"), (_req, res) => {
+  const list = readArchives()
+  res.json({
+    rotate: ROUTE_ROTATE,
+    count: list.length,
+    points: list.reduce((n, a) => n + (a.count || 0), 0),
+    archives: list,
+  })
+})
+
+app.post("/api/route/rotate", requireScope("admin"), async (_req, res) => {
+  try {
+    const result = await rotateRouteLog("manual")
+    if (!result.ok) return res.status(409).json({ error: result.error })
+    res.json(result)
+  } catch (e) {
+    console.error("route rotate failed:", e?.message || e)
+    res.status(500).json({ error: "rotate failed" })
+  }
+})
+
+app.get("/getRoute", requireScope(scopeForRedactQuery), async (req, res) => {
+  try {
+    const redact = req.query.redact !== "0"
+    const query = parseRouteQuery(req.query)
+    if (query.error) return res.status(query.status || 400).json({ error: query.error })
+    await streamRouteAsJsonArray(res, { redact, query })
+  } catch (e) {
+    console.error("getRoute failed:", e?.message || e)
+    res.status(500).json({ error: "getRoute failed" })
+  }
+})
+
+// ─────────────────────────────────────────────
+// Location (met heading & speed)
+// ─────────────────────────────────────────────
+// Met PUBLIC_DELAY_MS gaan de public locatie en hoogte eerst in een wachtrij (locationDelayed.ndjson,
+// altitudeDelayed.ndjson) en worden pas naar locationData.json / altitudeData.json geschreven als ze
+// oud genoeg zijn. kind = "location" | "altitude" → files[kind] + files[kind + "Queue"].
+
+function getDelayedQueue(kind) {
+  const key = `${kind}Queue`
+  if (tracker()[key]) return tracker()[key]
+  const queue = []
+  try {
+    for (const line of fs.readFileSync(files[key], "utf-8").split(/\r?\n/)) {
+      const e = line.trim() ? safeParseJSONLine(line) : null
+      if (e && e.timestamp) queue.push(e)
+    }
+  } catch {}
+  tracker()[key] = queue
+  return queue
+}
+
+// Nieuwste rijpe entry uit de wachtrij publiceren (oudere rijpe entries vallen weg)
+function promoteDue(kind, now = Date.now()) {
+  const queue = getDelayedQueue(kind)
+  let n = 0
+  while (n < queue.length && now - new Date(queue[n].timestamp).getTime() >= PUBLIC_DELAY_MS) n++
+  if (!n) return
+  const due = queue[n - 1]
+  queue.splice(0, n)
+  fs.writeFileSync(files[`${kind}Queue`], queue.map((e) => JSON.stringify(e) + "\n").join(""), "utf-8")
+  writeJSON(files[kind], due)
+  if (kind === "location") broadcastEvent("location", null, due)
+}
+
+// true = meteen publiek, false = in de wachtrij
+function publishDelayed(kind, data) {
+  if (!PUBLIC_DELAY_MS) {
+    writeJSON(files[kind], data)
+    return true
+  }
+  getDelayedQueue(kind).push(data)
+  fs.appendFileSync(files[`${kind}Queue`], JSON.stringify(data) + "\n", "utf-8")
+  return false
+}
+
+function publishLocation(locData, raw) {
+  const published = publishDelayed("location", locData)
+  broadcastEvent("location", raw, published ? locData : null)
+}
+
+if (PUBLIC_DELAY_MS) {
+  setInterval(
+    () =>
+      forEachTracker(() => {
+        promoteDue("location")
+        promoteDue("altitude")
+        invalidateDueTiles()
+        createDueStopPois()
+      }),
+    10_000
+  ).unref()
+}
+
+// Mapbox: stad + landcode; null zonder MAPBOX_TOKEN of als de lookup faalt (stil)
+async function reverseGeocode(lat, lon) {
+  if (!process.env.MAPBOX_TOKEN) return null
+  const url = `https://api.mapbox.com/geocoding/v5/mapbox.places/${lon},${lat}.json?types=place,country&access_token=${process.env.MAPBOX_TOKEN}`
+  try {
+    const { data } = await axiosClient.get(url)
+    const feats = data?.features || []
+    const place = feats.find((f) => (f.place_type || []).includes("place")) || {}
+    const country = feats.find((f) => (f.place_type || []).includes("country")) || {}
+    return { city: place.text || "", countryCode: (country.properties?.short_code || "").toUpperCase() }
+  } catch {
+    return null
+  }
+}
+
+app.post("/api/location", requireScope("ingest"), async (req, res) => {
+  try {
+    const { lat, lon, alt, heading, speedKmh } = req.body || {}
+    if (typeof lat !== "number" || typeof lon !== "number") {
+      return res.status(400).json({ error: "lat/lon required" })
+    }
+    const { pause, privacy } = getButtonStates()
+    const modes = { pause, privacy }
+
+    // drop/delay zone: locatie ter plekke nooit publiceren
+    const zone = privacyZoneFor(lat, lon)
+    if (zone && (zone.mode === "drop" || zone.mode === "delay")) {
+      const last = readJSON(files.location) || {}
+      // alleen admin kanaal; public ziet niks (locationData.json blijft ook ongewijzigd)
+      broadcastEvent("location", { lat: +lat, lon: +lon, redacted: true, timestamp: new Date().toISOString() }, null)
+      return res.json({ ...last, redacted: true, modes })
+    }
+
+    const nowIso = new Date().toISOString()
+
+    // Privacy-modus: public locatie bevriezen (default) of vergroven; snap/fuzz zone: rand of grid.
+    // Stad blijft de laatst bekende.
+    if (privacy || zone) {
+      const last = readJSON(files.location) || {}
+      const raw = { lat: +lat, lon: +lon, privacy, zone: zone?.id || null, timestamp: nowIso }
+      if (privacy && PRIVACY_MODE !== "fuzz") {
+        broadcastEvent("location", raw, null)
+        return res.json({ ...last, redacted: true, modes })
+      }
+
+      const coarse = privacy ? fuzzLocation(+lat, +lon) : applyPrivacyZone({ lat: +lat, lon: +lon })
+      const locData = {
+        lat: coarse.lat,
+        lon: coarse.lon,
+        city: last.city || "",
+        countryCode: last.countryCode || "",
+        timestamp: nowIso,
+        fuzzed: true,
+      }
+      publishLocation(locData, raw)
+      if (typeof alt === "number" && isFinite(alt)) {
+        publishDelayed("altitude", { altitude: +alt, timestamp: nowIso })
+      }
+      return res.json({ ...locData, redacted: false, modes })
+    }
+
+    const locData = {
+      lat: +lat,
+      lon: +lon,
+      city: "",
+      countryCode: "",
+      timestamp: nowIso,
+    }
+
+    if (typeof heading === "number" && isFinite(heading)) {
+      locData.heading = heading
+    }
+    if (typeof speedKmh === "number" && isFinite(speedKmh)) {
+      locData.speedKmh = Math.round(speedKmh)
+    }
+
+    const place = await reverseGeocode(lat, lon)
+    if (place) {
+      locData.city = place.city
+      locData.countryCode = place.countryCode
+      recordCountryChange(locData.countryCode, nowIso)
+    }
+
+    publishLocation(locData, locData)
+
+    if (typeof alt === "number" && isFinite(alt)) {
+      publishDelayed("altitude", { altitude: +alt, timestamp: nowIso })
+    }
+
+    res.json({ ...locData, redacted: false, modes })
+  } catch (e) {
+    console.error("Location error:", e.message)
+    res.status(500).json({ error: "location failed" })
+  }
+})
+
+app.get("/api/location", requireScope("public"), (_req, res) => {
+  if (PUBLIC_DELAY_MS) promoteDue("location")
+  res.json(readJSON(files.location) || {})
+})
+
+// ─────────────────────────────────────────────
+// Altitude & Temperature
+// ─────────────────────────────────────────────
+app.get("/api/altitude", requireScope("public"), (_req, res) => {
+  if (PUBLIC_DELAY_MS) promoteDue("altitude")
+  res.json(readJSON(files.altitude) || {})
+})
+
+app.post("/api/altitude", requireScope("ingest"), (req, res) => {
+  const { altitude } = req.body || {}
+  if (typeof altitude !== "number") {
+    return res.status(400).json({ error: "altitude required" })
+  }
+  publishDelayed("altitude", {
+    altitude: +altitude,
+    timestamp: new Date().toISOString(),
+  })
+  res.json({ ok: true })
+})
+
+// ✅ Endpoint blijft exact hetzelfde, maar fetch is “slim”
+app.get("/api/temperature", requireScope("public"), async (_req, res) => {
+  const cached = readJSON(files.temperature) || {}
+  const loc = readJSON(files.location) || {}
+  const { lat, lon } = loc
+  const apiKey = process.env.OPENWEATHER_KEY
+
+  // Als we geen inputs hebben: geef cached terug (zoals eerst)
+  if (!lat || !lon || !apiKey) return res.json(cached)
+
+  const now = Date.now()
+
+  // 1) Throttle
+  if (now - tracker().lastWeatherFetchAt < WEATHER_MIN_INTERVAL_MS) return res.json(cached)
+
+  // 2) Dedupe
+  if (tracker().weatherInFlight) {
+    try {
+      await tracker().weatherInFlight
+    } catch {}
+    return res.json(readJSON(files.temperature) || cached)
+  }
+
+  // 3) Start nieuwe fetch
+  tracker().weatherInFlight = (async () => {
+    try {
+      const url = `https://api.openweathermap.org/data/2.5/weather?lat=${lat}&lon=${lon}&appid=${apiKey}&units=metric&lang=nl`
+      const { data } = await axiosClient.get(url)
+
+      const payload = {
+        temp: Math.round(data.main?.temp),
+        feels_like: Math.round(data.main?.feels_like),
+        humidity: data.main?.humidity,
+        pressure: data.main?.pressure,
+        wind_speed: data.wind?.speed,
+        wind_deg: data.wind?.deg,
+        weather_main: data.weather?.[0]?.main,
+        weather_description: data.weather?.[0]?.description,
+        icon: data.weather?.[0]?.icon,
+        // privacy-modus: stad niet bijwerken (zou de echte plek verraden)
+        city: getButtonStates().privacy ? cached.city || "" : data.name || "",
+        timestamp: new Date().toISOString(),
+      }
+
+      writeJSON(files.temperature, payload)
+      tracker().lastWeatherFetchAt = Date.now()
+      broadcastEvent("weather", payload, payload)
+    } catch (e) {
+      if (shouldLogWeatherError()) console.error("Weather fetch failed:", e?.message || e)
+      tracker().lastWeatherFetchAt = Date.now()
+    } finally {
+      tracker().weatherInFlight = null
+    }
+  })()
+
+  try {
+    await tracker().weatherInFlight
+  } catch {}
+
+  return res.json(readJSON(files.temperature) || cached)
+})
+
+app.post("/api/temperature", requireScope("ingest"), (req, res) => {
+  const current = readJSON(files.temperature) || {}
+  const next = { ...current, ...(req.body || {}), timestamp: new Date().toISOString() }
+  writeJSON(files.temperature, next)
+  broadcastEvent("weather", next, next)
+  res.json(next)
+})
+
+// ─────────────────────────────────────────────
+// POIs
+// ─────────────────────────────────────────────
+// Publiek: zonder tracker en aankomst/vertrek/duur van automatische (stop-)POIs; redact=0 = admin
+const POI_PRIVATE_FIELDS = ["tracker", "arrivedAt", "departedAt", "durationSec"]
+
+app.get("/api/pois", requireScope(scopeForRedactQuery), (req, res) => {
+  const pois = readJSON(files.pois) || []
+  if (req.query.redact === "0") return res.json(pois)
+  res.json(pois.map((p) => (p ? Object.fromEntries(Object.entries(p).filter(([k]) => !POI_PRIVATE_FIELDS.includes(k))) : p)))
+})
+
+app.post("/api/pois", requireScope("admin", { shared: true }), (req, res) => {
+  const { lat, lon, note, name } = req.body || {}
+  if (typeof lat !== "number" || typeof lon !== "number") {
+    return res.status(400).json({ error: "Invalid coordinates" })
+  }
+  const pois = readJSON(files.pois) || []
+  const item = {
+    id: uuid(),
+    lat: +lat,
+    lon: +lon,
+    note: (name ?? note ?? "").toString(),
+    timestamp: new Date().toISOString(),
+  }
+  pois.push(item)
+  writeJSON(files.pois, pois)
+  forEachTracker(wipeTileCache) // POIs zijn gedeeld
+  res.json({ ok: true, id: item.id, count: pois.length })
+})
+
+// ─────────────────────────────────────────────
+// Routesets (save is stream-safe bij NDJSON)
+// ─────────────────────────────────────────────
+// Metadata in routesets.json naast count: afstand, duur, bbox, start/eind en hoogtewinst
+function createRoutesetMeta() {
+  const stats = createTrackStats()
+  let bbox = null
+  return {
+    add(p) {
+      stats.add(p)
+      bbox = bbox
+        ? [Math.min(bbox[0], p.lon), Math.min(bbox[1], p.lat), Math.max(bbox[2], p.lon), Math.max(bbox[3], p.lat)]
+        : [p.lon, p.lat, p.lon, p.lat]
+    },
+    result() {
+      const r = stats.result()
+      return {
+        count: r.count,
+        distanceM: r.distanceM,
+        durationSec: r.durationSec,
+        startTime: r.startTime,
+        endTime: r.endTime,
+        bbox,
+        elevationGainM: r.elevationGainM,
+      }
+    },
+  }
+}
+
+function routesetMetaFor(points) {
+  const meta = createRoutesetMeta()
+  for (const p of points) {
+    if (p && typeof p.lat === "number" && typeof p.lon === "number") meta.add(p)
+  }
+  return meta.result()
+}
+
+// opgeslagen vorm van een routeset-punt (heading/speedKmh blijven behouden)
+function routesetPoint(p) {
+  const out = { lat: +p.lat, lon: +p.lon, timestamp: p.timestamp }
+  for (const k of ["alt", "heading", "speedKmh"]) {
+    if (typeof p[k] === "number" && isFinite(p[k])) out[k] = p[k]
+  }
+  return out
+}
+
+// alleen ids uit routesets.json van deze tracker (een vrij id als "../trackers/x/<id>" wijst naar een andere map)
+function readRoutesetPoints(id) {
+  if (!(readJSON(files.routesets) || []).some((x) => x.id === id)) return null
+  const points = readJSON(files.routesetFile(id))
+  return Array.isArray(points) ? points.filter((p) => p && typeof p.lat === "number" && typeof p.lon === "number") : null
+}
+
+// nieuwe routeset uit een (chronologische) array punten
+function createRoutesetFromPoints(points, fields) {
+  const id = uuid()
+  writeRoutesetArray(files.routesetFile(id), points)
+  const meta = { id, ...fields, createdAt: new Date().toISOString(), ...routesetMetaFor(points) }
+  const list = readJSON(files.routesets) || []
+  list.push(meta)
+  writeJSON(files.routesets, list)
+  wipeTileCache()
+  return meta
+}
+
+// Routesets van vóór de metadata: één keer uitrekenen en opslaan (bij het starten van de tracker)
+function backfillRoutesetMeta() {
+  const list = readJSON(files.routesets) || []
+  let backfilled = 0
+  for (const meta of list) {
+    if (meta.distanceM !== undefined) continue
+    const points = readRoutesetPoints(meta.id)
+    if (!points) continue
+    Object.assign(meta, routesetMetaFor(points))
+    backfilled++
+  }
+  if (!backfilled) return
+  writeJSON(files.routesets, list)
+  console.log(`🗺️ routeset metadata aangevuld: ${backfilled} (${tracker().id})`)
+}
+
+app.get("/api/routesets", requireScope("public"), (_req, res) => {
+  res.json(readJSON(files.routesets) || [])
+})
+
+// query (parseRouteQuery) = alleen dat tijdvenster (incl. archieven); redact = zoals de public output
+async function writeRoutesetFromCurrentRoute(filePath, { query = null, redact = false } = {}) {
+  // routeset_<id>.json moet een JSON array blijven (compat met je bestaande frontend)
+  const ws = fs.createWriteStream(filePath + ".tmp", { encoding: "utf-8" })
+  ws.write("[")
+  let first = true
+  const meta = createRoutesetMeta()
 
-async function rebuildPublicRouteGeoJSON() {
-  const tmp = files.routePublic + ".tmp"
+  const writePoint = (p) => {
+    const out = routesetPoint(p)
+    const json = JSON.stringify(out)
+    if (!first) ws.write(",")
+    first = false
+    ws.write(json)
+    meta.add(out)
+  }
 
-  // schrijf header
-  const ws = fs.createWriteStream(tmp, { encoding: "utf-8" })
-  ws.write('{"type":"FeatureCollection","features":[')
+  await streamRoutePoints({ redact, query, onPoint: async (p) => writePoint(p) })
 
-  let startedFeature = false
-  let buffered = [] // 2 coords strings
+  ws.write("]")
+  await new Promise((resolve) => ws.end(resolve))
 
-  const startFeature = () => {
-    ws.write(
-      '{"type":"Feature","properties":{"source":"routeData.json","redact":true},"geometry":{"type":"LineString","coordinates":['
-    )
-    ws.write(buffered[0])
-    ws.write(",")
-    ws.write(buffered[1])
-    startedFeature = true
+  // atomic swap
+  try {
+    fs.renameSync(filePath + ".tmp", filePath)
+  } catch {
+    fs.copyFileSync(filePath + ".tmp", filePath)
+    fs.unlinkSync(filePath + ".tmp")
   }
 
-  const writeCoord = (coordStr) => {
-    if (!startedFeature) {
-      buffered.push(coordStr)
-      if (buffered.length === 2) startFeature()
-      return
+  return meta.result()
+}
+
+// body: { name?, from?, to? | rideId?, redact = false } — zonder venster de hele huidige route.
+// De live log blijft staan (reset is een aparte actie).
+app.post("/api/routesets/save", requireScope("admin"), async (req, res) => {
+  try {
+    const { name, rideId } = req.body || {}
+    const redact = req.body?.redact === true
+
+    let window = { from: req.body?.from, to: req.body?.to }
+    let ride = null
+    if (rideId !== undefined && rideId !== null) {
+      if (window.from !== undefined || window.to !== undefined) {
+        return res.status(400).json({ error: "use either rideId or from/to" })
+      }
+      ride = readRides().find((r) => r.id === rideId)
+      if (!ride) return res.status(404).json({ error: "ride not found" })
+      window = { from: ride.startedAt, to: ride.endedAt || Date.now() }
+    }
+    const query = parseRouteQuery(window)
+    if (query.error) return res.status(400).json({ error: query.error })
+    if (query.from !== null && query.to !== null && query.from > query.to) {
+      return res.status(400).json({ error: "from must be <= to" })
     }
-    ws.write(",")
-    ws.write(coordStr)
-  }
 
-  const onPoint = async (p) => {
-    const coordStr = `[${+p.lon},${+p.lat}]`
-    writeCoord(coordStr)
-  }
+    // check of we minimaal 2 punten hebben
+    const { count } = await streamRoutePoints({ redact, query: { ...query, limit: 2 }, onPoint: async () => {} })
+    if (count < 2) return res.status(400).json({ error: "Not enough points to save" })
 
-  try {
-    if (routeFormat === "ndjson") {
-      await streamRoutePointsNdjson({ redact: true, onPoint })
-    } else {
-      const arr = readJSON(files.route) || []
-      for (const p of arr) {
-        if (!p || typeof p.lat !== "number" || typeof p.lon !== "number") continue
-        if (inPrivacyZone(p.lat, p.lon)) continue
-        await onPoint(p)
+    const id = uuid()
+    const meta = {
+      id,
+      name: (name || ride?.name || `Route ${new Date().toLocaleString()}`).toString(),
+      createdAt: new Date().toISOString(),
+      count: 0, // vullen na schrijven
+    }
+    if (query.from !== null || query.to !== null) {
+      meta.window = {
+        from: query.from !== null ? new Date(query.from).toISOString() : null,
+        to: query.to !== null ? new Date(query.to).toISOString() : null,
       }
     }
+    if (ride) meta.rideId = ride.id
+    if (redact) meta.redacted = true
+
+    const filePath = files.routesetFile(id)
+    Object.assign(meta, await writeRoutesetFromCurrentRoute(filePath, { query, redact }))
+
+    const list = readJSON(files.routesets) || []
+    list.push(meta)
+    writeJSON(files.routesets, list)
+    wipeTileCache()
+
+    res.json({ ok: true, ...meta })
   } catch (e) {
-    console.error("❌ rebuildPublicRouteGeoJSON stream failed:", e?.message || e)
+    console.error("routesets/save failed:", e?.message || e)
+    res.status(500).json({ error: "routeset save failed" })
   }
+})
 
-  if (!startedFeature) {
-    ws.write("]}")
-  } else {
-    ws.write("]}}]}")
+app.delete("/api/routesets/:id", requireScope("admin"), (req, res) => {
+  const { id } = req.params
+  const list = readJSON(files.routesets) || []
+  const idx = list.findIndex((x) => x.id === id)
+  if (idx === -1) return res.status(404).json({ error: "not found" })
+  list.splice(idx, 1)
+  writeJSON(files.routesets, list)
+
+  const fp = files.routesetFile(id)
+  if (fs.existsSync(fp)) fs.unlinkSync(fp)
+  wipeTileCache()
+  res.json({ ok: true })
+})
+
+// routesets staan ongeredacteerd op disk → public krijgt ze door redactPoint, ?redact=0 vraagt admin
+function routesetPointsForRequest(req) {
+  const points = readRoutesetPoints(req.params.id)
+  if (!points || req.query.redact === "0") return points
+  return points.map((p) => redactPoint(p)).filter(Boolean)
+}
+
+app.get("/api/routesets/:id", requireScope(scopeForRedactQuery), (req, res) => {
+  const points = routesetPointsForRequest(req)
+  if (!points) return res.status(404).json({ error: "not found" })
+  res.json(points)
+})
+
+app.get("/api/routesets/:id/geojson", requireScope(scopeForRedactQuery), (req, res) => {
+  const pts = routesetPointsForRequest(req)
+  if (!pts) return res.status(404).json({ error: "not found" })
+  const coords = pts
+    .map((p) => [p.lon, p.lat])
+    .filter((a) => a.every((n) => typeof n === "number"))
+  const fc = {
+    type: "FeatureCollection",
+    features:
+      coords.length > 1
+        ? [
+            {
+              type: "Feature",
+              properties: { routesetId: req.params.id },
+              geometry: { type: "LineString", coordinates: coords },
+            },
+          ]
+        : [],
   }
+  res.setHeader("Content-Type", "application/geo+json; charset=utf-8")
+  res.json(fc)
+})
 
-  await new Promise((resolve) => ws.end(resolve))
+// ─────────────────────────────────────────────
+// Routesets bewerken: naam/omschrijving/tags, samenvoegen, splitsen, inkorten
+// ─────────────────────────────────────────────
+const ROUTESET_TAGS_MAX = 30
+
+// body → { patch } of { error }; description null = verwijderen
+function parseRoutesetPatch(body, { requireAny = true } = {}) {
+  const patch = {}
+  if (body?.name !== undefined) {
+    if (typeof body.name !== "string" || !body.name.trim() || body.name.length > 200) {
+      return { error: "name must be a non-empty string (max 200 chars)" }
+    }
+    patch.name = body.name.trim()
+  }
+  if (body?.description !== undefined) {
+    if (body.description !== null && (typeof body.description !== "string" || body.description.length > 2000)) {
+      return { error: "description must be a string (max 2000 chars) or null" }
+    }
+    patch.description = body.description
+  }
+  if (body?.tags !== undefined) {
+    const tags = body.tags
+    if (!Array.isArray(tags) || tags.some((t) => typeof t !== "string" || !t.trim() || t.length > 50)) {
+      return { error: "tags must be an array of non-empty strings (max 50 chars)" }
+    }
+    patch.tags = [...new Set(tags.map((t) => t.trim()))]
+    if (patch.tags.length > ROUTESET_TAGS_MAX) return { error: `max ${ROUTESET_TAGS_MAX} tags` }
+  }
+  if (requireAny && !Object.keys(patch).length) return { error: "nothing to update (name, description, tags)" }
+  if (!requireAny && patch.description === null) delete patch.description
+  return { patch }
+}
 
-  try {
-    fs.renameSync(tmp, files.routePublic)
-  } catch (e) {
+function removeRoutesets(ids) {
+  const drop = new Set(ids)
+  writeJSON(files.routesets, (readJSON(files.routesets) || []).filter((x) => !drop.has(x.id)))
+  for (const id of ids) {
+    const fp = files.routesetFile(id)
+    if (fs.existsSync(fp)) fs.unlinkSync(fp)
+  }
+  wipeTileCache()
+}
+
+app.patch("/api/routesets/:id", requireScope("admin"), (req, res) => {
+  const parsed = parseRoutesetPatch(req.body)
+  if (parsed.error) return res.status(400).json({ error: parsed.error })
+
+  const list = readJSON(files.routesets) || []
+  const meta = list.find((x) => x.id === req.params.id)
+  if (!meta) return res.status(404).json({ error: "not found" })
+
+  Object.assign(meta, parsed.patch, { updatedAt: new Date().toISOString() })
+  if (meta.description === null) delete meta.description
+  writeJSON(files.routesets, list)
+  res.json({ ok: true, ...meta })
+})
+
+// body: { ids: [..≥2], name?, description?, tags?, deleteSources = false }
+app.post("/api/routesets/merge", requireScope("admin"), (req, res) => {
+  const ids = req.body?.ids
+  if (!Array.isArray(ids) || new Set(ids).size < 2 || ids.some((id) => typeof id !== "string")) {
+    return res.status(400).json({ error: "ids must contain at least 2 different routeset ids" })
+  }
+  const { patch: fields, error } = parseRoutesetPatch(req.body, { requireAny: false })
+  if (error) return res.status(400).json({ error })
+
+  const sourceIds = [...new Set(ids)]
+  const list = readJSON(files.routesets) || []
+  const sources = sourceIds.map((id) => list.find((x) => x.id === id))
+  const missing = sourceIds.filter((_id, i) => !sources[i])
+  if (missing.length) return res.status(404).json({ error: `not found: ${missing.join(", ")}` })
+
+  // op tijd sorteren (stabiel; punten zonder tijd achteraan) en exacte dubbelen (overlap) eruit
+  const all = sourceIds.flatMap((id) => readRoutesetPoints(id) || [])
+  all.sort((a, b) => {
+    const ta = pointTime(a)
+    const tb = pointTime(b)
+    if (ta === null || tb === null) return (ta === null) - (tb === null)
+    return ta - tb
+  })
+  const points = []
+  for (const p of all) {
+    const prev = points[points.length - 1]
+    if (prev && pointTime(prev) === pointTime(p) && prev.lat === p.lat && prev.lon === p.lon) continue
+    points.push(p)
+  }
+  if (points.length < 2) return res.status(400).json({ error: "Not enough points to save" })
+
+  const meta = createRoutesetFromPoints(points, {
+    name: fields.name || sources.map((s) => s.name).join(" + ").slice(0, 200),
+    ...fields,
+    source: "merge",
+    mergedFrom: sourceIds,
+  })
+  if (req.body?.deleteSources === true) removeRoutesets(sourceIds)
+  res.json({ ok: true, ...meta })
+})
+
+// body: { at: ISO|epoch ms, deleteOriginal = false } → twee nieuwe routesets (< at en >= at)
+app.post("/api/routesets/:id/split", requireScope("admin"), (req, res) => {
+  const at = parseTimeParam(req.body?.at)
+  if (at === null || Number.isNaN(at)) return res.status(400).json({ error: "at must be an ISO timestamp or epoch ms" })
+
+  const list = readJSON(files.routesets) || []
+  const meta = list.find((x) => x.id === req.params.id)
+  const points = meta ? readRoutesetPoints(meta.id) : null
+  if (!points) return res.status(404).json({ error: "not found" })
+
+  let idx = points.findIndex((p) => (pointTime(p) ?? -Infinity) >= at)
+  if (idx === -1) idx = points.length
+  const parts = [points.slice(0, idx), points.slice(idx)]
+  if (parts.some((part) => part.length < 2)) {
+    return res.status(400).json({ error: "split must leave at least 2 points on both sides", before: parts[0].length, after: parts[1].length })
+  }
+
+  const inherited = {}
+  if (meta.description !== undefined) inherited.description = meta.description
+  if (meta.tags !== undefined) inherited.tags = meta.tags
+  const created = parts.map((part, i) =>
+    createRoutesetFromPoints(part, { name: `${meta.name} (${i + 1})`, ...inherited, source: "split", splitFrom: meta.id })
+  )
+  if (req.body?.deleteOriginal === true) removeRoutesets([meta.id])
+  res.json({ ok: true, routesets: created })
+})
+
+// body: { from?, to? } → punten buiten [from, to] eraf (in place). Punten zonder tijd blijven staan
+// als ze tussen behouden punten liggen (of aan een open kant van het venster).
+app.post("/api/routesets/:id/trim", requireScope("admin"), (req, res) => {
+  const from = parseTimeParam(req.body?.from)
+  const to = parseTimeParam(req.body?.to)
+  if (Number.isNaN(from) || Number.isNaN(to)) return res.status(400).json({ error: "from/to must be ISO timestamps or epoch ms" })
+  if (from === null && to === null) return res.status(400).json({ error: "from and/or to required" })
+  if (from !== null && to !== null && from > to) return res.status(400).json({ error: "from must be <= to" })
+
+  const list = readJSON(files.routesets) || []
+  const meta = list.find((x) => x.id === req.params.id)
+  const points = meta ? readRoutesetPoints(meta.id) : null
+  if (!points) return res.status(404).json({ error: "not found" })
+
+  const inWindow = (t) => (from === null || t >= from) && (to === null || t <= to)
+  let first = -1
+  let last = -1
+  points.forEach((p, i) => {
+    const t = pointTime(p)
+    if (t === null || !inWindow(t)) return
+    if (first === -1) first = i
+    last = i
+  })
+  const start = from === null ? 0 : first
+  const end = to === null ? points.length - 1 : last
+  const kept =
+    first === -1
+      ? []
+      : points.slice(start, end + 1).filter((p) => {
+          const t = pointTime(p)
+          return t === null || inWindow(t)
+        })
+  if (kept.length < 2) return res.status(400).json({ error: "trim must leave at least 2 points", kept: kept.length })
+
+  writeRoutesetArray(files.routesetFile(meta.id), kept)
+  Object.assign(meta, routesetMetaFor(kept), { updatedAt: new Date().toISOString() })
+  writeJSON(files.routesets, list)
+  wipeTileCache()
+  res.json({ ok: true, removed: points.length - kept.length, ...meta })
+})
+
+// ─────────────────────────────────────────────
+// Routeset import (GPX / TCX / CSV / NDJSON) — bv. backup-telefoon of fietscomputer
+// ─────────────────────────────────────────────
+
+function xmlTagValue(body, name) {
+  // matcht <name>, <ns:name> en <ns3:name>, case-insensitive
+  const m = body.match(new RegExp(`<(?:[\\w-]+:)?${name}\\b[^>]*>([^<]*)<`, "i"))
+  return m ? m[1].trim() : null
+}
+
+function xmlAttr(attrs, name) {
+  const m = attrs.match(new RegExp(`\\b${name}\\s*=\\s*["']([^"']*)["']`, "i"))
+  return m ? m[1] : null
+}
+
+function num(v) {
+  if (v === null || v === undefined || v === "") return undefined
+  const n = Number(v)
+  return Number.isFinite(n) ? n : undefined
+}
+
+function parseGpx(text) {
+  const out = []
+  const re = /<(trkpt|rtept)\b([^>]*?)(?:\/>|>([\s\S]*?)<\/\1>)/gi
+  let m
+  while ((m = re.exec(text))) {
+    const attrs = m[2] || ""
+    const body = m[3] || ""
+    const speedMs = num(xmlTagValue(body, "speed"))
+    out.push({
+      lat: num(xmlAttr(attrs, "lat")),
+      lon: num(xmlAttr(attrs, "lon")),
+      timestamp: xmlTagValue(body, "time") || undefined,
+      alt: num(xmlTagValue(body, "ele")),
+      heading: num(xmlTagValue(body, "course")),
+      speedKmh: speedMs !== undefined ? speedMs * 3.6 : undefined,
+    })
+  }
+  return out
+}
+
+function parseTcx(text) {
+  const out = []
+  const re = /<Trackpoint\b[^>]*>([\s\S]*?)<\/Trackpoint>/gi
+  let m
+  while ((m = re.exec(text))) {
+    const body = m[1]
+    const speedMs = num(xmlTagValue(body, "Speed"))
+    out.push({
+      lat: num(xmlTagValue(body, "LatitudeDegrees")),
+      lon: num(xmlTagValue(body, "LongitudeDegrees")),
+      timestamp: xmlTagValue(body, "Time") || undefined,
+      alt: num(xmlTagValue(body, "AltitudeMeters")),
+      speedKmh: speedMs !== undefined ? speedMs * 3.6 : undefined,
+    })
+  }
+  return out
+}
+
+// CSV met header; herkent gangbare kolomnamen (lat/latitude, lon/lng/longitude, time/timestamp, ...)
+function parseCsv(text) {
+  const lines = text.split(/\r?\n/).filter((l) => l.trim().length)
+  if (lines.length < 2) return []
+
+  const delim = lines[0].includes(";") && !lines[0].includes(",") ? ";" : lines[0].includes("\t") ? "\t" : ","
+  const split = (l) => l.split(delim).map((c) => c.trim().replace(/^"(.*)"$/, "$1"))
+  const header = split(lines[0]).map((h) => h.toLowerCase())
+  const col = (...names) => header.findIndex((h) => names.includes(h))
+
+  const iLat = col("lat", "latitude")
+  const iLon = col("lon", "lng", "long", "longitude")
+  const iTime = col("timestamp", "time", "datetime", "date_time")
+  const iAlt = col("alt", "altitude", "ele", "elevation")
+  const iHeading = col("heading", "course", "bearing")
+  const iSpeedKmh = col("speedkmh", "speed_kmh", "speed")
+  const iSpeedMs = col("speed_ms", "speedms")
+  if (iLat === -1 || iLon === -1) return []
+
+  const parseTime = (v) => {
+    if (!v) return undefined
+    const n = Number(v)
+    if (Number.isFinite(n)) return new Date(n < 1e12 ? n * 1000 : n).toISOString() // epoch s of ms
+    return v
+  }
+
+  return lines.slice(1).map((l) => {
+    const c = split(l)
+    const speedMs = iSpeedMs !== -1 ? num(c[iSpeedMs]) : undefined
+    return {
+      lat: num(c[iLat]),
+      lon: num(c[iLon]),
+      timestamp: iTime !== -1 ? parseTime(c[iTime]) : undefined,
+      alt: iAlt !== -1 ? num(c[iAlt]) : undefined,
+      heading: iHeading !== -1 ? num(c[iHeading]) : undefined,
+      speedKmh: speedMs !== undefined ? speedMs * 3.6 : iSpeedKmh !== -1 ? num(c[iSpeedKmh]) : undefined,
+    }
+  })
+}
+
+function parseNdjson(text) {
+  const trimmed = text.trim()
+  // ook een gewone JSON array accepteren (zelfde vorm als /api/route)
+  if (trimmed.startsWith("[")) {
     try {
-      fs.copyFileSync(tmp, files.routePublic)
-      fs.unlinkSync(tmp)
-    } catch (e2) {
-      console.error("❌ persistPublicRouteGeoJSON failed:", e2)
+      const arr = JSON.parse(trimmed)
+      return Array.isArray(arr) ? arr : []
+    } catch {
+      return []
     }
   }
+  return trimmed
+    .split(/\r?\n/)
+    .map((l) => safeParseJSONLine(l.trim()))
+    .filter(Boolean)
 }
 
-function schedulePublicRouteRebuild() {
-  const now = Date.now()
-  const wait = Math.max(0, PUBLIC_GEOJSON_MIN_INTERVAL_MS - (now - lastPublicGeojsonAt))
+function detectImportFormat(text, hint) {
+  const h = (hint || "").toLowerCase()
+  if (["gpx", "tcx", "csv", "ndjson", "json", "fit"].includes(h)) return h === "json" ? "ndjson" : h
+  if (text.slice(8, 12) === ".FIT") return "fit"
+  const head = text.slice(0, 4096)
+  if (/<gpx\b/i.test(head)) return "gpx"
+  if (/<TrainingCenterDatabase\b/i.test(head)) return "tcx"
+  if (/^\s*[[{]/.test(head)) return "ndjson"
+  return "csv"
+}
 
-  if (publicGeojsonTimer) return // al gepland
+function writeRoutesetArray(filePath, points) {
+  const tmp = filePath + ".tmp"
+  fs.writeFileSync(tmp, JSON.stringify(points), "utf-8")
+  try {
+    fs.renameSync(tmp, filePath)
+  } catch {
+    fs.copyFileSync(tmp, filePath)
+    fs.unlinkSync(tmp)
+  }
+}
 
-  publicGeojsonTimer = setTimeout(async () => {
-    publicGeojsonTimer = null
+/**
+ * POST /api/routesets/import?format=gpx|tcx|csv|ndjson&name=...
+ * Body = ruwe bestandsinhoud. Formaat wordt gesnuffeld als ?format ontbreekt.
+ */
+app.post(
+  "/api/routesets/import",
+  requireScope("admin"),
+  (req, res) => {
     try {
-      await rebuildPublicRouteGeoJSON()
-      lastPublicGeojsonAt = Date.now()
+      const text = typeof req.body === "string" ? req.body : ""
+      if (!text.trim()) return res.status(400).json({ error: "empty body" })
+
+      const format = detectImportFormat(text, req.query.format)
+      if (format === "fit") {
+        return res.status(415).json({ error: "FIT not supported, export as GPX or TCX" })
+      }
+
+      const parsers = { gpx: parseGpx, tcx: parseTcx, csv: parseCsv, ndjson: parseNdjson }
+      const raw = parsers[format](text)
+
+      let redacted = 0
+      let skipped = 0
+      const points = []
+      for (const p of raw) {
+        if (typeof p?.lat !== "number" || typeof p?.lon !== "number" || !isFinite(p.lat) || !isFinite(p.lon)) {
+          skipped++
+          continue
+        }
+        if (inDropZone(p.lat, p.lon)) {
+          redacted++
+          continue
+        }
+        const point = toRoutePoint(p, { keepUntimed: true })
+        if (!point) {
+          skipped++
+          continue
+        }
+        points.push(point)
+      }
+
+      // chronologisch; zodra er punten zonder tijd in zitten (GPX <rtept>, CSV zonder tijdkolom) blijft de bestandsvolgorde
+      if (points.every((p) => p.timestamp)) points.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+
+      if (points.length < 2) {
+        return res.status(400).json({ error: "Not enough points to save", format, redacted, skipped })
+      }
+
+      const meta = createRoutesetFromPoints(points, {
+        name: (req.query.name || `Import ${new Date().toLocaleString()}`).toString(),
+        source: "import",
+        format,
+      })
+
+      res.json({ ok: true, ...meta, redacted, skipped })
     } catch (e) {
-      console.error("❌ public geojson rebuild failed:", e?.message || e)
+      console.error("routesets/import failed:", e?.message || e)
+      res.status(500).json({ error: "routeset import failed" })
     }
-  }, wait)
-}
+  }
+)
 
 // ─────────────────────────────────────────────
-// Button state (pauze / privacy)
+// Rides (tijdvenster over routeData.json + berekende stats)
 // ─────────────────────────────────────────────
-app.get("/api/buttons", (_req, res) => {
-  res.json(readJSON(files.buttonStates) || { pause: false, privacy: false })
+function readRides() {
+  const list = readJSON(files.rides)
+  return Array.isArray(list) ? list : []
+}
+
+function getActiveRide(rides = readRides()) {
+  return rides.find((r) => !r.endedAt) || null
+}
+
+async function computeRideStats(ride) {
+  const from = new Date(ride.startedAt).getTime()
+  const to = ride.endedAt ? new Date(ride.endedAt).getTime() : Date.now()
+  const stats = createTrackStats()
+
+  // tijdvenster → index + eventuele archieven worden meegenomen
+  await streamRoutePoints({
+    redact: false,
+    query: parseRouteQuery({ from, to }),
+    onPoint: async (p) => stats.add(p),
+  })
+
+  return stats.result()
+}
+
+app.get("/api/rides", requireScope("public"), (_req, res) => {
+  res.json(readRides())
 })
 
-app.post("/api/buttons", (req, res) => {
-  const { pause, privacy } = req.body || {}
-  const state = { pause: !!pause, privacy: !!privacy }
-  writeJSON(files.buttonStates, state)
-  res.json({ ok: true, ...state })
+// Huidige ride (voor stream overlays); stats altijd vers berekend
+app.get("/api/rides/current", requireScope("public"), async (_req, res) => {
+  try {
+    const ride = getActiveRide()
+    if (!ride) return res.json({ active: false })
+    const stats = await computeRideStats(ride)
+    res.json({ active: true, ...ride, stats })
+  } catch (e) {
+    console.error("rides/current failed:", e?.message || e)
+    res.status(500).json({ error: "ride stats failed" })
+  }
 })
 
-// ─────────────────────────────────────────────
-// Route ingest / read / reset (endpoints onveranderd)
-// ─────────────────────────────────────────────
-app.post("/api/route", (req, res) => {
-  const arr = Array.isArray(req.body) ? req.body : [req.body]
+app.post("/api/rides/start", requireScope("admin"), (req, res) => {
+  const { name } = req.body || {}
+  const rides = readRides()
+  const active = getActiveRide(rides)
+  if (active) return res.status(409).json({ error: "ride already active", id: active.id })
 
-  const MIN_DIST_M = 15
-  const MIN_TIME_MS = 4000
-  const MAX_SPEED_KMH = 160
+  const ride = {
+    id: uuid(),
+    name: (name || `Ride ${new Date().toLocaleString()}`).toString(),
+    startedAt: new Date().toISOString(),
+    endedAt: null,
+    stats: null,
+  }
+  rides.push(ride)
+  writeJSON(files.rides, rides)
+  res.json({ ok: true, ...ride })
+})
 
-  let added = 0
-  let redacted = 0
+app.post("/api/rides/stop", requireScope("admin"), async (_req, res) => {
+  try {
+    const rides = readRides()
+    const ride = getActiveRide(rides)
+    if (!ride) return res.status(409).json({ error: "no active ride" })
+
+    ride.endedAt = new Date().toISOString()
+    ride.stats = await computeRideStats(ride)
+
+    // opnieuw lezen: er kan tijdens het streamen iets gewijzigd zijn
+    const list = readRides()
+    const idx = list.findIndex((r) => r.id === ride.id)
+    if (idx === -1) return res.status(404).json({ error: "not found" })
+    list[idx] = ride
+    writeJSON(files.rides, list)
+    if (ROUTE_ROTATE === "ride") void rotateRouteLog("ride")
+    res.json({ ok: true, ...ride })
+  } catch (e) {
+    console.error("rides/stop failed:", e?.message || e)
+    res.status(500).json({ error: "ride stop failed" })
+  }
+})
 
-  if (routeFormat === "json") {
-    // Legacy gedrag (kan RAM-heavy zijn). Jetson: migreer naar NDJSON.
-    const route = readJSON(files.route) || []
+app.get("/api/rides/:id", requireScope("public"), async (req, res) => {
+  try {
+    const ride = readRides().find((r) => r.id === req.params.id)
+    if (!ride) return res.status(404).json({ error: "not found" })
+    const stats = ride.endedAt && ride.stats ? ride.stats : await computeRideStats(ride)
+    res.json({ ...ride, stats })
+  } catch (e) {
+    console.error("rides/get failed:", e?.message || e)
+    res.status(500).json({ error: "ride read failed" })
+  }
+})
 
-    for (const p of arr) {
-      if (typeof p?.lat !== "number" || typeof p?.lon !== "number") continue
-      if (inPrivacyZone(p.lat, p.lon)) {
-        redacted++
-        continue
-      }
+app.delete("/api/rides/:id", requireScope("admin"), (req, res) => {
+  const rides = readRides()
+  const idx = rides.findIndex((r) => r.id === req.params.id)
+  if (idx === -1) return res.status(404).json({ error: "not found" })
+  rides.splice(idx, 1)
+  writeJSON(files.rides, rides)
+  res.json({ ok: true })
+})
+
+// ─────────────────────────────────────────────
+// Trip statistieken (/api/stats): totalen, per dag/land en langste stops (streaming)
+// ─────────────────────────────────────────────
+// Punten hebben zelf geen land: /api/location geocodet live en elke landwissel komt in
+// countryLog.ndjson ({ countryCode, at }); een punt krijgt het land dat op zijn tijdstip gold.
+// Geschiedenis van vóór de eerste landwissel in de log is "unknown": countryCoverage geeft
+// `since` (eerste entry in de log) en hoeveel punten daardoor zonder land zijn (`unknownPoints`).
+const STOP_RADIUS_M = Number(process.env.STOP_RADIUS_M || 75)
+const STOP_MIN_SEC = Number(process.env.STOP_MIN_SEC || 5 * 60)
+const STATS_TOP_STOPS = 10
+
+function readCountryLog() {
+  if (tracker().countryLogCache) return tracker().countryLogCache
+  const out = []
+  try {
+    const text = fs.readFileSync(files.countryLog, "utf-8")
+    for (const line of text.split(/\r?\n/)) {
+      const e = line.trim() ? safeParseJSONLine(line) : null
+      const t = e?.at ? new Date(e.at).getTime() : NaN
+      if (e?.countryCode && Number.isFinite(t)) out.push({ countryCode: e.countryCode, t })
+    }
+  } catch {}
+  out.sort((a, b) => a.t - b.t)
+  tracker().countryLogCache = out
+  return out
+}
 
-      const tNow = p.timestamp ? new Date(p.timestamp).getTime() : Date.now()
-      const last = route.length ? route[route.length - 1] : null
+function recordCountryChange(countryCode, at) {
+  if (!countryCode) return
+  const log = readCountryLog()
+  if (log.length && log[log.length - 1].countryCode === countryCode) return
+  fs.appendFileSync(files.countryLog, JSON.stringify({ countryCode, at }) + "\n", "utf-8")
+  log.push({ countryCode, t: new Date(at).getTime() })
+}
 
-      if (last) {
-        const dist = distanceMeters(last.lat, last.lon, p.lat, p.lon)
-        const dt = Math.max(1, tNow - new Date(last.timestamp).getTime())
-        const speed = (dist / (dt / 1000)) * 3.6
+// laatste landwissel op of vóór t (binary search); null = nog niks bekend
+function countryAt(log, t) {
+  let lo = 0
+  let hi = log.length - 1
+  let found = null
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1
+    if (log[mid].t <= t) {
+      found = log[mid].countryCode
+      lo = mid + 1
+    } else {
+      hi = mid - 1
+    }
+  }
+  return found
+}
+
+// YYYY-MM-DD in de tijdzone van de server (zoals ROUTE_ROTATE=day)
+function localDayKey(t) {
+  const d = new Date(t)
+  const pad = (n) => String(n).padStart(2, "0")
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`
+}
+
+/**
+ * Stilstand: opeenvolgende punten binnen radiusM van het eerste, samen ≥ minDurationSec.
+ * Tijdens stilstand laat de ingest-gate (tooClose) meestal alles vallen; een trage overgang naar
+ * het volgende punt (< MOVING_MIN_KMH, zoals in createTrackStats) telt daarom nog als stilstaan.
+ * onStop({ lat, lon, arrivedAt, departedAt, durationSec, points, ongoing }) met lat/lon = gemiddelde.
+ */
+function createStopDetector({ radiusM = STOP_RADIUS_M, minDurationSec = STOP_MIN_SEC, onStop }) {
+  let cur = null
+  let prev = null
+
+  function close(departT, ongoing) {
+    if (departT - cur.arrivedT >= minDurationSec * 1000) {
+      onStop({
+        lat: Math.round((cur.sumLat / cur.n) * 1e6) / 1e6,
+        lon: Math.round((cur.sumLon / cur.n) * 1e6) / 1e6,
+        arrivedAt: new Date(cur.arrivedT).toISOString(),
+        departedAt: new Date(departT).toISOString(),
+        durationSec: Math.round((departT - cur.arrivedT) / 1000),
+        points: cur.n,
+        ongoing,
+      })
+    }
+    cur = null
+  }
 
-        if (dist < MIN_DIST_M) continue
-        if (dt < MIN_TIME_MS) continue
-        if (speed > MAX_SPEED_KMH) continue
+  function add(p) {
+    const t = pointTime(p)
+    if (t === null) return
+    if (cur && distanceMeters(cur.lat, cur.lon, p.lat, p.lon) <= radiusM) {
+      cur.sumLat += p.lat
+      cur.sumLon += p.lon
+      cur.n++
+      cur.lastT = Math.max(cur.lastT, t)
+    } else {
+      if (cur) {
+        const dt = t - cur.lastT
+        const slow = dt > 0 && (distanceMeters(prev.lat, prev.lon, p.lat, p.lon) / (dt / 1000)) * 3.6 < MOVING_MIN_KMH
+        close(slow ? t : cur.lastT, false)
       }
+      cur = { lat: p.lat, lon: p.lon, sumLat: p.lat, sumLon: p.lon, n: 1, arrivedT: t, lastT: t }
+    }
+    prev = p
+  }
 
-      const point = {
-        lat: +p.lat,
-        lon: +p.lon,
-        timestamp: p.timestamp ? new Date(p.timestamp).toISOString() : new Date().toISOString(),
-      }
+  // geredacteerd (weggevallen) punt: lopende stop afsluiten zonder het gat mee te tellen,
+  // anders wordt "stilstand" vlak bij een privacy zone juist zichtbaar
+  function interrupt() {
+    if (cur) close(cur.lastT, false)
+    prev = null
+  }
 
-      if (typeof p.alt === "number" && isFinite(p.alt)) point.alt = p.alt
-      if (typeof p.heading === "number" && isFinite(p.heading)) point.heading = p.heading
-      if (typeof p.speedKmh === "number" && isFinite(p.speedKmh)) point.speedKmh = Math.round(p.speedKmh)
+  // pauze: lopende stop weggooien zonder te melden
+  function discard() {
+    cur = null
+    prev = null
+  }
 
-      route.push(point)
-      lastRoutePoint = point
-      added++
-    }
+  // laatste cluster: loopt (misschien) nog
+  function finish() {
+    if (cur) close(cur.lastT, true)
+  }
 
-    if (added) writeJSON(files.route, route)
-    schedulePublicRouteRebuild()
-    return res.json({ ok: true, added, redacted, routeFormat })
+  return { add, interrupt, discard, finish }
+}
+
+// query: stopRadiusM, stopMinSec → { radiusM, minDurationSec } of { error }
+function parseStopOptions(q = {}) {
+  const radiusM = q.stopRadiusM !== undefined ? Number(q.stopRadiusM) : STOP_RADIUS_M
+  const minDurationSec = q.stopMinSec !== undefined ? Number(q.stopMinSec) : STOP_MIN_SEC
+  if (!Number.isFinite(radiusM) || radiusM < 5 || radiusM > 5000) return { error: "stopRadiusM must be 5..5000" }
+  if (!Number.isFinite(minDurationSec) || minDurationSec < 30 || minDurationSec > 7 * 86400) {
+    return { error: "stopMinSec must be 30..604800" }
   }
+  return { radiusM, minDurationSec }
+}
 
-  // NDJSON: append-only, geen gigantische JSON.parse meer
-  for (const p of arr) {
-    if (typeof p?.lat !== "number" || typeof p?.lon !== "number") continue
+/**
+ * Zelfde regels als createTrackStats (MOVING_MIN_KMH, device-snelheid vóór berekende), maar elk
+ * segment wordt ook toegewezen aan de dag en het land van zijn eindpunt. Stilstaan = segmenten
+ * onder MOVING_MIN_KMH, dus ook gaten zonder beweging (device uit op dezelfde plek).
+ */
+function createTripStats({ countryLog = [], stopOptions = {}, topStops = STATS_TOP_STOPS } = {}) {
+  const newBucket = () => ({
+    points: 0,
+    distanceM: 0,
+    movingMs: 0,
+    stoppedMs: 0,
+    maxSpeedKmh: 0,
+    elevationGainM: 0,
+    elevationLossM: 0,
+  })
+  const total = newBucket()
+  const days = new Map()
+  const countries = new Map()
+  const elevation = createElevationCounter()
+  const longest = []
+  let stopCount = 0
+  let stoppedAtStopsSec = 0
+  const stops = createStopDetector({
+    ...stopOptions,
+    onStop: (s) => {
+      stopCount++
+      stoppedAtStopsSec += s.durationSec
+      longest.push(s)
+      longest.sort((a, b) => b.durationSec - a.durationSec)
+      if (longest.length > topStops) longest.pop()
+    },
+  })
+  let firstT = null
+  let lastT = null
+  let prev = null
+
+  const bucketFor = (map, key) => {
+    let b = map.get(key)
+    if (!b) map.set(key, (b = newBucket()))
+    return b
+  }
 
-    if (inPrivacyZone(p.lat, p.lon)) {
-      redacted++
-      continue
+  function add(p) {
+    const t = pointTime(p)
+    if (t === null) return
+    if (firstT === null || t < firstT) firstT = t
+    if (lastT === null || t > lastT) lastT = t
+
+    let distanceM = 0
+    let movingMs = 0
+    let stoppedMs = 0
+    let speedKmh = typeof p.speedKmh === "number" && isFinite(p.speedKmh) ? p.speedKmh : null
+    if (prev) {
+      distanceM = distanceMeters(prev.lat, prev.lon, p.lat, p.lon)
+      const dt = t - pointTime(prev)
+      if (dt > 0) {
+        const speed = (distanceM / (dt / 1000)) * 3.6
+        if (speed >= MOVING_MIN_KMH) movingMs = dt
+        else stoppedMs = dt
+        if (speedKmh === null) speedKmh = speed
+      }
     }
+    const elev = typeof p.alt === "number" && isFinite(p.alt) ? elevation(p.alt) : { gain: 0, loss: 0 }
+
+    const country = countryAt(countryLog, t) || "unknown"
+    for (const b of [total, bucketFor(days, localDayKey(t)), bucketFor(countries, country)]) {
+      b.points++
+      b.distanceM += distanceM
+      b.movingMs += movingMs
+      b.stoppedMs += stoppedMs
+      if (speedKmh !== null) b.maxSpeedKmh = Math.max(b.maxSpeedKmh, speedKmh)
+      b.elevationGainM += elev.gain
+      b.elevationLossM += elev.loss
+    }
+    stops.add(p)
+    prev = p
+  }
 
-    const tNow = p.timestamp ? new Date(p.timestamp).getTime() : Date.now()
-    const last = lastRoutePoint
-
-    if (last && typeof last.lat === "number" && typeof last.lon === "number") {
-      const dist = distanceMeters(last.lat, last.lon, p.lat, p.lon)
-      const dt = Math.max(1, tNow - new Date(last.timestamp || Date.now()).getTime())
-      const speed = (dist / (dt / 1000)) * 3.6
+  // punt weggevallen door redactie (zie createStopDetector)
+  function skip() {
+    stops.interrupt()
+  }
 
-      if (dist < MIN_DIST_M) continue
-      if (dt < MIN_TIME_MS) continue
-      if (speed > MAX_SPEED_KMH) continue
+  function formatBucket(b) {
+    const movingTimeSec = Math.round(b.movingMs / 1000)
+    const stoppedTimeSec = Math.round(b.stoppedMs / 1000)
+    const speed = (sec) => (sec ? Math.round((b.distanceM / sec) * 3.6 * 10) / 10 : 0)
+    return {
+      points: b.points,
+      distanceM: Math.round(b.distanceM),
+      distanceKm: Math.round(b.distanceM / 10) / 100,
+      movingTimeSec,
+      stoppedTimeSec,
+      avgSpeedKmh: speed(movingTimeSec + stoppedTimeSec),
+      avgMovingSpeedKmh: speed(movingTimeSec),
+      maxSpeedKmh: Math.round(b.maxSpeedKmh * 10) / 10,
+      elevationGainM: Math.round(b.elevationGainM),
+      elevationLossM: Math.round(b.elevationLossM),
     }
+  }
 
-    const point = {
-      lat: +p.lat,
-      lon: +p.lon,
-      timestamp: p.timestamp ? new Date(p.timestamp).toISOString() : new Date().toISOString(),
+  function result() {
+    stops.finish()
+    return {
+      startTime: firstT !== null ? new Date(firstT).toISOString() : null,
+      endTime: lastT !== null ? new Date(lastT).toISOString() : null,
+      durationSec: firstT !== null ? Math.round((lastT - firstT) / 1000) : 0,
+      ...formatBucket(total),
+      days: [...days.entries()].sort(([a], [b]) => a.localeCompare(b)).map(([date, b]) => ({ date, ...formatBucket(b) })),
+      countries: [...countries.entries()]
+        .map(([countryCode, b]) => ({ countryCode, ...formatBucket(b) }))
+        .sort((a, b) => b.distanceM - a.distanceM),
+      countryCoverage: {
+        since: countryLog.length ? new Date(countryLog[0].t).toISOString() : null,
+        unknownPoints: countries.get("unknown")?.points || 0,
+      },
+      stops: { count: stopCount, totalSec: stoppedAtStopsSec, longest },
     }
-
-    if (typeof p.alt === "number" && isFinite(p.alt)) point.alt = p.alt
-    if (typeof p.heading === "number" && isFinite(p.heading)) point.heading = p.heading
-    if (typeof p.speedKmh === "number" && isFinite(p.speedKmh)) point.speedKmh = Math.round(p.speedKmh)
-
-    appendRoutePointNdjson(point)
-    lastRoutePoint = point
-    added++
   }
 
-  if (added) schedulePublicRouteRebuild()
-  return res.json({ ok: true, added, redacted, routeFormat })
-})
+  return { add, skip, result }
+}
 
-app.get("/api/route", async (_req, res) => {
+/**
+ * GET /api/stats?from&to (ISO of epoch ms) | routeset=<id> [&from&to binnen die routeset]
+ * Zonder from/to: alleen de live log (zoals rides); met tijdvenster ook de archieven.
+ * Overige query: stopRadiusM, stopMinSec, topStops, redact=0 (admin; default privacy zones toepassen)
+ */
+app.get("/api/stats", requireScope(scopeForRedactQuery), async (req, res) => {
   try {
-    await streamRouteAsJsonArray(res, { redact: false })
-  } catch (e) {
-    console.error("api/route failed:", e?.message || e)
-    res.status(500).json({ error: "route read failed" })
-  }
-})
+    const redact = req.query.redact !== "0"
+    const query = parseRouteQuery({ from: req.query.from, to: req.query.to })
+    if (query.error) return res.status(400).json({ error: query.error })
+    const stopOptions = parseStopOptions(req.query)
+    if (stopOptions.error) return res.status(400).json({ error: stopOptions.error })
+    const topStops = req.query.topStops !== undefined ? Number(req.query.topStops) : STATS_TOP_STOPS
+    if (!Number.isInteger(topStops) || topStops < 0 || topStops > 100) {
+      return res.status(400).json({ error: "topStops must be 0..100" })
+    }
 
-app.post("/api/route/reset", (_req, res) => {
-  try {
-    if (routeFormat === "ndjson") {
-      fs.writeFileSync(files.route, "", "utf-8")
-      lastRoutePoint = null
-    } else {
-      writeJSON(files.route, [])
-      lastRoutePoint = null
+    const stats = createTripStats({ countryLog: readCountryLog(), stopOptions, topStops })
+    // zelf redacteren: weggevallen punten moeten de stop-detectie onderbreken
+    const add = (p) => {
+      if (redact && !(p = redactPoint(p))) return stats.skip()
+      stats.add(p)
     }
-    // meteen rebuilden (klein bestand)
-    lastPublicGeojsonAt = 0
-    if (publicGeojsonTimer) {
-      clearTimeout(publicGeojsonTimer)
-      publicGeojsonTimer = null
+    const routesetId = req.query.routeset ? String(req.query.routeset) : null
+    if (routesetId) {
+      const points = readRoutesetPoints(routesetId)
+      if (!points) return res.status(404).json({ error: "routeset not found" })
+      for (const p of points) if (routePointMatches(p, query)) add(p)
+    } else {
+      await streamRoutePoints({ redact: false, query, onPoint: async (p) => add(p) })
     }
-    void rebuildPublicRouteGeoJSON()
-    res.json({ ok: true })
+
+    res.json({
+      from: query.from !== null ? new Date(query.from).toISOString() : null,
+      to: query.to !== null ? new Date(query.to).toISOString() : null,
+      routeset: routesetId,
+      redacted: redact,
+      ...stats.result(),
+    })
   } catch (e) {
-    console.error("route reset failed:", e?.message || e)
-    res.status(500).json({ error: "reset failed" })
+    console.error("api/stats failed:", e?.message || e)
+    res.status(500).json({ error: "stats failed" })
   }
 })
 
-app.get("/api/route.geojson", async (_req, res) => {
-  try {
-    await streamRouteAsGeoJSON(res, { redact: true })
-  } catch (e) {
-    console.error("geojson stream failed:", e?.message || e)
-    res.status(500).json({ error: "geojson build failed" })
+// ─────────────────────────────────────────────
+// Stops (stilstand) + automatische POIs
+// ─────────────────────────────────────────────
+// Live: elke tracker heeft een stop-detector op de geaccepteerde punten (na een herstart of reset
+// begint die opnieuw). Een afgesloten stop gaat als "stop" event naar het admin kanaal; met
+// STOPS_AUTO_POI=1 wordt er ook een POI (automatic: true) van gemaakt, behalve in of vlak bij een
+// privacy zone, tijdens privacy-modus of pauze of vlak bij een bestaande POI. POIs zijn publiek: de POI
+// komt er pas PUBLIC_DELAY_MS na vertrek (wachtrij stopPoisDelayed.ndjson, 10 s ronde zoals de tiles).
+// STOPS_POI_ZONE_MARGIN_M: de hele stop (STOP_RADIUS_M rond het midden) plus deze marge moet vrij
+// van elke zone zijn, anders verraadt een POI net buiten de rand wat de zone afschermt.
+const STOPS_AUTO_POI = process.env.STOPS_AUTO_POI === "1"
+const STOPS_POI_ZONE_MARGIN_M = Number(process.env.STOPS_POI_ZONE_MARGIN_M || STOP_RADIUS_M)
+
+async function createStopPoi(stop, { dryRun = false } = {}) {
+  const arrived = new Date(stop.arrivedAt).getTime()
+  const departed = new Date(stop.departedAt).getTime()
+  if (departed + PUBLIC_DELAY_MS > Date.now()) return { skipped: "public delay" }
+  if (privacyZoneNear(stop.lat, stop.lon, STOP_RADIUS_M + STOPS_POI_ZONE_MARGIN_M)) return { skipped: "privacy zone" }
+  if (inPrivacyWindow(arrived) || inPrivacyWindow(departed)) return { skipped: "privacy mode" }
+  if (getButtonStates().pause || getModeWindows("pause").some((w) => w.from <= departed && (w.to === null || w.to >= arrived))) {
+    return { skipped: "paused" }
   }
-})
+  const nearPoi = (list) =>
+    list.some((p) => p && typeof p.lat === "number" && distanceMeters(p.lat, p.lon, stop.lat, stop.lon) <= STOP_RADIUS_M)
+  if (nearPoi(readJSON(files.pois) || [])) return { skipped: "near existing POI" }
+  if (dryRun) return { created: null }
 
-app.get("/api/route/public-file", (_req, res) => {
-  if (!fs.existsSync(files.routePublic)) {
-    return res.status(404).json({ error: "Not found" })
+  const place = await reverseGeocode(stop.lat, stop.lon)
+  const item = {
+    id: uuid(),
+    lat: stop.lat,
+    lon: stop.lon,
+    note: place?.city ? `Stop: ${place.city}` : "Stop",
+    timestamp: new Date().toISOString(),
+    automatic: true,
+    tracker: tracker().id,
+    arrivedAt: stop.arrivedAt,
+    departedAt: stop.departedAt,
+    durationSec: stop.durationSec,
+    city: place?.city || "",
+    countryCode: place?.countryCode || "",
   }
-  res.setHeader("Content-Type", "application/geo+json; charset=utf-8")
-  res.setHeader("Cache-Control", "no-cache")
-  fs.createReadStream(files.routePublic).pipe(res)
-})
 
-app.post("/api/route/rebuild-geojson", async (_req, res) => {
+  // opnieuw lezen: tijdens het geocoden kan er een POI bij gekomen zijn
+  const pois = readJSON(files.pois) || []
+  if (nearPoi(pois)) return { skipped: "near existing POI" }
+  pois.push(item)
+  writeJSON(files.pois, pois)
+  forEachTracker(wipeTileCache) // POIs zijn gedeeld
+  return { created: item }
+}
+
+function createAutoStopPoi(stop) {
+  createStopPoi(stop)
+    .then((r) => {
+      if (r.created) console.log(`📍 automatische POI: ${r.created.note} (${Math.round(stop.durationSec / 60)} min)`)
+    })
+    .catch((e) => console.error("❌ auto POI failed:", e?.message || e))
+}
+
+function onLiveStop(stop) {
+  if (stop.ongoing) return
+  broadcastEvent("stop", stop, null)
+  if (!STOPS_AUTO_POI) return
+  if (!PUBLIC_DELAY_MS) return createAutoStopPoi(stop)
+  const entry = { timestamp: stop.departedAt, stop }
+  getDelayedQueue("stopPoi").push(entry)
+  fs.appendFileSync(files.stopPoiQueue, JSON.stringify(entry) + "\n", "utf-8")
+}
+
+// timestamp = vertrek; rijp als die PUBLIC_DELAY_MS voorbij is (zelfde grens als createStopPoi)
+function createDueStopPois(now = Date.now()) {
+  const queue = getDelayedQueue("stopPoi")
+  let n = 0
+  while (n < queue.length && now - new Date(queue[n].timestamp).getTime() >= PUBLIC_DELAY_MS) n++
+  if (!n) return
+  const due = queue.splice(0, n)
+  fs.writeFileSync(files.stopPoiQueue, queue.map((e) => JSON.stringify(e) + "\n").join(""), "utf-8")
+  for (const e of due) if (e.stop) createAutoStopPoi(e.stop)
+}
+
+// na storeRoutePoints (in volgorde; late inserts doen niet mee)
+function trackLiveStops(points) {
+  const t = tracker()
+  if (!t.stopDetector) t.stopDetector = createStopDetector({ onStop: onLiveStop })
+  for (const p of points) t.stopDetector.add(p)
+}
+
+// from/to, routeset en stop-opties zoals /api/stats → { stops } of { error, status }
+async function detectStops(q, { redact }) {
+  const query = parseRouteQuery({ from: q.from, to: q.to })
+  if (query.error) return { error: query.error, status: 400 }
+  const stopOptions = parseStopOptions(q)
+  if (stopOptions.error) return { error: stopOptions.error, status: 400 }
+
+  const stops = []
+  const detector = createStopDetector({ ...stopOptions, onStop: (s) => stops.push(s) })
+  const add = (p) => {
+    if (redact && !(p = redactPoint(p))) return detector.interrupt()
+    detector.add(p)
+  }
+  if (q.routeset) {
+    const points = readRoutesetPoints(String(q.routeset))
+    if (!points) return { error: "routeset not found", status: 404 }
+    for (const p of points) if (routePointMatches(p, query)) add(p)
+  } else {
+    await streamRoutePoints({ redact: false, query, onPoint: async (p) => add(p) })
+  }
+  detector.finish()
+  return { stops, ...stopOptions }
+}
+
+/**
+ * GET /api/stops?from&to | routeset=<id> [&stopRadiusM&stopMinSec&redact=0]
+ * Chronologisch; de laatste stop kan `ongoing` zijn (nog geen vertrek gezien).
+ */
+app.get("/api/stops", requireScope(scopeForRedactQuery), async (req, res) => {
   try {
-    await rebuildPublicRouteGeoJSON()
-    lastPublicGeojsonAt = Date.now()
-    res.json({ ok: true })
+    const r = await detectStops(req.query, { redact: req.query.redact !== "0" })
+    if (r.error) return res.status(r.status).json({ error: r.error })
+    res.json({ radiusM: r.radiusM, minDurationSec: r.minDurationSec, count: r.stops.length, stops: r.stops })
   } catch (e) {
-    console.error("rebuild-geojson failed:", e?.message || e)
-    res.status(500).json({ error: "rebuild failed" })
+    console.error("api/stops failed:", e?.message || e)
+    res.status(500).json({ error: "stops failed" })
   }
 })
 
-app.get("/getRoute", async (req, res) => {
+// Achteraf POIs maken voor de stops in een venster; body zoals de /api/stops query + dryRun
+app.post("/api/stops/pois", requireScope("admin", { shared: true }), async (req, res) => {
   try {
-    const redact = req.query.redact !== "0"
-    await streamRouteAsJsonArray(res, { redact })
+    const body = req.body || {}
+    const r = await detectStops(body, { redact: false })
+    if (r.error) return res.status(r.status).json({ error: r.error })
+
+    const dryRun = body.dryRun === true
+    const created = []
+    const skipped = []
+    for (const stop of r.stops) {
+      if (stop.ongoing) {
+        skipped.push({ ...stop, reason: "ongoing" })
+        continue
+      }
+      const out = await createStopPoi(stop, { dryRun })
+      if (out.skipped) skipped.push({ ...stop, reason: out.skipped })
+      else created.push(out.created || stop)
+    }
+    res.json({ ok: true, dryRun, created, skipped })
   } catch (e) {
-    console.error("getRoute failed:", e?.message || e)
-    res.status(500).json({ error: "getRoute failed" })
+    console.error("stops/pois failed:", e?.message || e)
+    res.status(500).json({ error: "stop POIs failed" })
   }
 })
 
 // ─────────────────────────────────────────────
-// Location (met heading & speed)
+// Export: GPX 1.1 / KML (streaming, voor BaseCamp / Strava / Google Earth)
 // ─────────────────────────────────────────────
-app.post("/api/location", async (req, res) => {
-  try {
-    const { lat, lon, alt, heading, speedKmh } = req.body || {}
-    if (typeof lat !== "number" || typeof lon !== "number") {
-      return res.status(400).json({ error: "lat/lon required" })
-    }
+function xmlEscape(s) {
+  return String(s ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;")
+}
 
-    if (inPrivacyZone(lat, lon)) {
-      const last = readJSON(files.location) || {}
-      return res.json({ ...last, redacted: true })
-    }
+function exportPois({ redact }) {
+  const pois = readJSON(files.pois) || []
+  return pois.filter(
+    (p) =>
+      p &&
+      typeof p.lat === "number" &&
+      typeof p.lon === "number" &&
+      !(redact && inPrivacyZone(p.lat, p.lon))
+  )
+}
 
-    const nowIso = new Date().toISOString()
-    const locData = {
-      lat: +lat,
-      lon: +lon,
-      city: "",
-      countryCode: "",
-      timestamp: nowIso,
+// iterator voor een opgeslagen routeset (JSON array)
+function routesetPointIterator(fp) {
+  return async ({ redact, onPoint }) => {
+    const pts = readJSON(fp) || []
+    for (let p of pts) {
+      if (!p || typeof p.lat !== "number" || typeof p.lon !== "number") continue
+      if (redact && !(p = redactPoint(p))) continue
+      await onPoint(p)
     }
+  }
+}
 
-    if (typeof heading === "number" && isFinite(heading)) {
-      locData.heading = heading
-    }
-    if (typeof speedKmh === "number" && isFinite(speedKmh)) {
-      locData.speedKmh = Math.round(speedKmh)
+// res.write met backpressure: wachten op "drain" i.p.v. de hele export in het geheugen te bufferen.
+// Client weg → reject, zodat de iterator stopt en zijn read stream sluit (anders komt "drain" nooit).
+async function writeWithDrain(res, chunk) {
+  if (res.destroyed || res.writableEnded) throw new Error("client disconnected")
+  if (res.write(chunk)) return
+  await new Promise((resolve, reject) => {
+    const done = (err) => {
+      res.off("drain", onDrain)
+      res.off("close", onClose)
+      res.off("error", onClose)
+      if (err) reject(err)
+      else resolve()
     }
+    const onDrain = () => done()
+    const onClose = () => done(new Error("client disconnected"))
+    res.once("drain", onDrain)
+    res.once("close", onClose)
+    res.once("error", onClose)
+  })
+}
 
-    if (process.env.MAPBOX_TOKEN) {
-      const url = `https://api.mapbox.com/geocoding/v5/mapbox.places/${lon},${lat}.json?types=place,country&access_token=${process.env.MAPBOX_TOKEN}`
-      try {
-        const { data } = await axiosClient.get(url)
-        const feats = data?.features || []
-        const place = feats.find((f) => (f.place_type || []).includes("place")) || {}
-        const country = feats.find((f) => (f.place_type || []).includes("country")) || {}
-        locData.city = place.text || ""
-        locData.countryCode = (country.properties?.short_code || "").toUpperCase()
-      } catch {
-        // stil falen
+/**
+ * GPX 1.1 met Garmin TrackPointExtension v2 (speed in m/s, course in graden).
+ * Elke route-segmentbreuk (zie isSegmentBreak) wordt een nieuw <trkseg>.
+ */
+async function streamPointsAsGpx(res, { name, redact, iterate, filename }) {
+  const write = (chunk) => writeWithDrain(res, chunk)
+
+  res.setHeader("Content-Type", "application/gpx+xml; charset=utf-8")
+  res.setHeader("Content-Disposition", `attachment; filename="${filename}"`)
+  res.setHeader("Cache-Control", "no-cache")
+
+  await write('<?xml version="1.0" encoding="UTF-8"?>\n')
+  await write(
+    '<gpx version="1.1" creator="DIMENTS GPS Tracker" xmlns="http://www.topografix.com/GPX/1/1"' +
+      ' xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"' +
+      ' xmlns:gpxtpx="http://www.garmin.com/xmlschemas/TrackPointExtension/v2"' +
+      ' xsi:schemaLocation="http://www.topografix.com/GPX/1/1 http://www.topografix.com/GPX/1/1/gpx.xsd' +
+      ' http://www.garmin.com/xmlschemas/TrackPointExtension/v2 http://www8.garmin.com/xmlschemas/TrackPointExtensionv2.xsd">\n'
+  )
+  await write(`<metadata><name>${xmlEscape(name)}</name><time>${new Date().toISOString()}</time></metadata>\n`)
+
+  // waypoints moeten vóór <trk> staan (GPX schema volgorde)
+  for (const poi of exportPois({ redact })) {
+    await write(`<wpt lat="${+poi.lat}" lon="${+poi.lon}">`)
+    if (poi.timestamp) await write(`<time>${xmlEscape(poi.timestamp)}</time>`)
+    await write(`<name>${xmlEscape(poi.note || "POI")}</name></wpt>\n`)
+  }
+
+  await write(`<trk><name>${xmlEscape(name)}</name>\n<trkseg>\n`)
+  let prev = null
+
+  await iterate({
+    redact,
+    onPoint: async (p) => {
+      if (prev && isSegmentBreak(prev, p)) await write("</trkseg>\n<trkseg>\n")
+      prev = p
+
+      let s = `<trkpt lat="${+p.lat}" lon="${+p.lon}">`
+      if (typeof p.alt === "number" && isFinite(p.alt)) s += `<ele>${p.alt}</ele>`
+      if (p.timestamp) s += `<time>${xmlEscape(p.timestamp)}</time>`
+
+      const hasSpeed = typeof p.speedKmh === "number" && isFinite(p.speedKmh)
+      const hasHeading = typeof p.heading === "number" && isFinite(p.heading)
+      if (hasSpeed || hasHeading) {
+        s += "<extensions><gpxtpx:TrackPointExtension>"
+        if (hasSpeed) s += `<gpxtpx:speed>${Math.round((p.speedKmh / 3.6) * 100) / 100}</gpxtpx:speed>`
+        if (hasHeading) s += `<gpxtpx:course>${((p.heading % 360) + 360) % 360}</gpxtpx:course>`
+        s += "</gpxtpx:TrackPointExtension></extensions>"
       }
-    }
+      await write(s + "</trkpt>\n")
+    },
+  })
 
-    writeJSON(files.location, locData)
+  res.end("</trkseg>\n</trk>\n</gpx>\n")
+}
 
-    if (typeof alt === "number" && isFinite(alt)) {
-      writeJSON(files.altitude, { altitude: +alt, timestamp: nowIso })
-    }
+/**
+ * KML 2.2 met gx:Track (tijd per punt) + ExtendedData arrays voor speed/heading.
+ * Segmentbreuken worden aparte gx:Track's binnen een gx:MultiTrack.
+ */
+const KML_TRACK_MAX_POINTS = 2000
 
-    res.json({ ...locData, redacted: false })
-  } catch (e) {
-    console.error("Location error:", e.message)
-    res.status(500).json({ error: "location failed" })
+async function streamPointsAsKml(res, { name, redact, iterate, filename }) {
+  res.setHeader("Content-Type", "application/vnd.google-earth.kml+xml; charset=utf-8")
+  res.setHeader("Content-Disposition", `attachment; filename="${filename}"`)
+  res.setHeader("Cache-Control", "no-cache")
+
+  res.write('<?xml version="1.0" encoding="UTF-8"?>\n')
+  res.write('<kml xmlns="http://www.opengis.net/kml/2.2" xmlns:gx="http://www.google.com/kml/ext/2.2">\n<Document>\n')
+  res.write(`<name>${xmlEscape(name)}</name>\n`)
+  res.write(
+    '<Schema id="trackData">' +
+      '<gx:SimpleArrayField name="speedKmh" type="float"><displayName>Speed (km/h)</displayName></gx:SimpleArrayField>' +
+      '<gx:SimpleArrayField name="heading" type="float"><displayName>Heading</displayName></gx:SimpleArrayField>' +
+      "</Schema>\n"
+  )
+  res.write('<Style id="track"><LineStyle><color>ff0000ff</color><width>4</width></LineStyle></Style>\n')
+
+  for (const poi of exportPois({ redact })) {
+    res.write("<Placemark>")
+    res.write(`<name>${xmlEscape(poi.note || "POI")}</name>`)
+    if (poi.timestamp) res.write(`<TimeStamp><when>${xmlEscape(poi.timestamp)}</when></TimeStamp>`)
+    res.write(`<Point><coordinates>${+poi.lon},${+poi.lat}</coordinates></Point></Placemark>\n`)
   }
-})
 
-app.get("/api/location", (_req, res) => {
-  res.json(readJSON(files.location) || {})
-})
+  res.write(`<Placemark><name>${xmlEscape(name)}</name><styleUrl>#track</styleUrl>\n<gx:MultiTrack>\n`)
+
+  // gx:Track wil eerst alle <when>, dan alle <gx:coord>, dan ExtendedData. Daarom bufferen we per
+  // segment, maar nooit meer dan KML_TRACK_MAX_POINTS: een lang segment wordt in stukken geschreven
+  // (volgend stuk begint bij het laatste punt, zodat de lijn doorloopt). gx:Track heeft per coord
+  // een tijd nodig → punten zonder timestamp vallen weg.
+  let seg = []
+  let prev = null
+
+  const write = (chunk) => writeWithDrain(res, chunk)
+
+  const flushTrack = async () => {
+    if (!seg.length) return
+    const points = seg
+    seg = []
+    await write('<gx:Track><altitudeMode>clampToGround</altitudeMode>\n')
+    await write(points.map((p) => `<when>${xmlEscape(p.timestamp)}</when>`).join("") + "\n")
+    const coord = (p) => `<gx:coord>${+p.lon} ${+p.lat} ${typeof p.alt === "number" && isFinite(p.alt) ? p.alt : 0}</gx:coord>`
+    await write(points.map(coord).join("") + "\n")
+    const values = (field) => points.map((p) => `<gx:value>${typeof p[field] === "number" ? p[field] : ""}</gx:value>`).join("")
+    await write('<ExtendedData><SchemaData schemaUrl="#trackData">')
+    await write(`<gx:SimpleArrayData name="speedKmh">${values("speedKmh")}</gx:SimpleArrayData>`)
+    await write(`<gx:SimpleArrayData name="heading">${values("heading")}</gx:SimpleArrayData>`)
+    await write("</SchemaData></ExtendedData></gx:Track>\n")
+  }
 
-// ─────────────────────────────────────────────
-// Altitude & Temperature
-// ─────────────────────────────────────────────
-app.get("/api/altitude", (_req, res) => {
-  res.json(readJSON(files.altitude) || {})
-})
+  await iterate({
+    redact,
+    onPoint: async (p) => {
+      if (pointTime(p) === null) return
+      if (prev && isSegmentBreak(prev, p)) {
+        await flushTrack()
+      } else if (seg.length >= KML_TRACK_MAX_POINTS) {
+        await flushTrack()
+        seg.push(prev)
+      }
+      prev = { lat: p.lat, lon: p.lon, alt: p.alt, timestamp: p.timestamp, speedKmh: p.speedKmh, heading: p.heading }
+      seg.push(prev)
+    },
+  })
+  await flushTrack()
 
-app.post("/api/altitude", (req, res) => {
-  const { altitude } = req.body || {}
-  if (typeof altitude !== "number") {
-    return res.status(400).json({ error: "altitude required" })
+  res.end("</gx:MultiTrack></Placemark>\n</Document>\n</kml>\n")
+}
+
+function exportRedactFromQuery(q) {
+  // default: privacy zones toepassen (zoals /getRoute); ?redact=0 voor ruwe export
+  return q.redact !== "0"
+}
+
+app.get("/api/route.gpx", requireScope(scopeForRedactQuery), async (req, res) => {
+  try {
+    await streamPointsAsGpx(res, {
+      name: "DIMENTS live route",
+      redact: exportRedactFromQuery(req.query),
+      iterate: streamRoutePoints,
+      filename: "route.gpx",
+    })
+  } catch (e) {
+    if (!res.destroyed) console.error("route.gpx failed:", e?.message || e)
+    if (!res.headersSent) res.status(500).json({ error: "gpx export failed" })
+    else res.end()
   }
-  writeJSON(files.altitude, {
-    altitude: +altitude,
-    timestamp: new Date().toISOString(),
-  })
-  res.json({ ok: true })
 })
 
-// ✅ Endpoint blijft exact hetzelfde, maar fetch is “slim”
-app.get("/api/temperature", async (_req, res) => {
-  const cached = readJSON(files.temperature) || {}
-  const loc = readJSON(files.location) || {}
-  const { lat, lon } = loc
-  const apiKey = process.env.OPENWEATHER_KEY
+app.get("/api/route.kml", requireScope(scopeForRedactQuery), async (req, res) => {
+  try {
+    await streamPointsAsKml(res, {
+      name: "DIMENTS live route",
+      redact: exportRedactFromQuery(req.query),
+      iterate: streamRoutePoints,
+      filename: "route.kml",
+    })
+  } catch (e) {
+    if (!res.destroyed) console.error("route.kml failed:", e?.message || e)
+    if (!res.headersSent) res.status(500).json({ error: "kml export failed" })
+    else res.end()
+  }
+})
 
-  // Als we geen inputs hebben: geef cached terug (zoals eerst)
-  if (!lat || !lon || !apiKey) return res.json(cached)
+app.get("/api/routesets/:id/:format(gpx|kml)", requireScope(scopeForRedactQuery), async (req, res) => {
+  const { id, format } = req.params
+  const meta = (readJSON(files.routesets) || []).find((x) => x.id === id)
+  const fp = meta ? files.routesetFile(id) : null
+  if (!fp || !fs.existsSync(fp)) return res.status(404).json({ error: "not found" })
+
+  const opts = {
+    name: meta.name || `Routeset ${id}`,
+    redact: exportRedactFromQuery(req.query),
+    iterate: routesetPointIterator(fp),
+    filename: `routeset_${id}.${format}`,
+  }
 
-  const now = Date.now()
+  try {
+    if (format === "gpx") await streamPointsAsGpx(res, opts)
+    else await streamPointsAsKml(res, opts)
+  } catch (e) {
+    if (!res.destroyed) console.error(`routesets/${format} failed:`, e?.message || e)
+    if (!res.headersSent) res.status(500).json({ error: `${format} export failed` })
+    else res.end()
+  }
+})
 
-  // 1) Throttle
-  if (now - lastWeatherFetchAt < WEATHER_MIN_INTERVAL_MS) return res.json(cached)
+// ─────────────────────────────────────────────
+// Vector tiles (MVT) — /tiles/{z}/{x}/{y}.mvt
+// ─────────────────────────────────────────────
+// Layers: route (public/geredacteerd, gesplitst op segment-breuken), routesets, pois.
+// Per zoom vereenvoudigd (DP, ± MVT_SIMPLIFY_PX pixel). Cache op disk in DATA_DIR/tiles/z/x/y.mvt:
+// nieuwe punten gooien alleen de tiles weg die ze raken; zones/routesets/POIs/reset alles.
+const MVT_EXTENT = 4096
+const MVT_BUFFER = 64
+const MVT_MAX_ZOOM = Number(process.env.MVT_MAX_ZOOM || 18)
+const MVT_SIMPLIFY_PX = Number(process.env.MVT_SIMPLIFY_PX || 1)
+const MVT_CACHE = process.env.MVT_CACHE !== "0"
+const MVT_INVALIDATE_MAX_TILES = 64 // meer tiles op één zoom → die hele zoom weg
+const MVT_UNLINK_CONCURRENCY = 8
+
+// Minimale protobuf writer: alleen varint, length-delimited en double (genoeg voor MVT)
+function createPbf() {
+  const out = []
+  const varint = (n) => {
+    while (n > 127) {
+      out.push((n % 128) | 128)
+      n = Math.floor(n / 128)
+    }
+    out.push(n)
+  }
+  const tag = (field, wire) => varint(field * 8 + wire)
+  const bytes = (field, buf) => {
+    tag(field, 2)
+    varint(buf.length)
+    for (const b of buf) out.push(b)
+  }
 
-  // 2) Dedupe
-  if (weatherInFlight) {
-    try {
-      await weatherInFlight
-    } catch {}
-    return res.json(readJSON(files.temperature) || cached)
+  return {
+    varint,
+    bytes,
+    uint(field, n) {
+      tag(field, 0)
+      varint(n)
+    },
+    string(field, s) {
+      bytes(field, Buffer.from(String(s), "utf-8"))
+    },
+    double(field, v) {
+      tag(field, 1)
+      const b = Buffer.alloc(8)
+      b.writeDoubleLE(v)
+      for (const x of b) out.push(x)
+    },
+    packed(field, nums) {
+      const inner = createPbf()
+      for (const n of nums) inner.varint(n)
+      bytes(field, inner.finish())
+    },
+    finish: () => Buffer.from(out),
   }
+}
 
-  // 3) Start nieuwe fetch
-  weatherInFlight = (async () => {
-    try {
-      const url = `https://api.openweathermap.org/data/2.5/weather?lat=${lat}&lon=${lon}&appid=${apiKey}&units=metric&lang=nl`
-      const { data } = await axiosClient.get(url)
+const zigzag = (n) => (n < 0 ? -2 * n - 1 : 2 * n)
+const mvtCommand = (id, count) => (id & 7) | (count << 3)
 
-      const payload = {
-        temp: Math.round(data.main?.temp),
-        feels_like: Math.round(data.main?.feels_like),
-        humidity: data.main?.humidity,
-        pressure: data.main?.pressure,
-        wind_speed: data.wind?.speed,
-        wind_deg: data.wind?.deg,
-        weather_main: data.weather?.[0]?.main,
-        weather_description: data.weather?.[0]?.description,
-        icon: data.weather?.[0]?.icon,
-        city: data.name || "",
-        timestamp: new Date().toISOString(),
+/**
+ * MVT layer (spec 2.1): features met gedeelde keys/values tabellen.
+ * addPoint(props, [x, y]) / addLine(props, [[x, y], ...]) in tile-coördinaten.
+ */
+function createMvtLayer(name) {
+  const keys = []
+  const keyIdx = new Map()
+  const values = []
+  const valueIdx = new Map()
+  const features = []
+
+  const tagsFor = (props) => {
+    const tags = []
+    for (const [k, v] of Object.entries(props)) {
+      if (v === undefined || v === null || v === "") continue
+      if (!keyIdx.has(k)) {
+        keyIdx.set(k, keys.length)
+        keys.push(k)
       }
-
-      writeJSON(files.temperature, payload)
-      lastWeatherFetchAt = Date.now()
-    } catch (e) {
-      if (shouldLogWeatherError()) console.error("Weather fetch failed:", e?.message || e)
-      lastWeatherFetchAt = Date.now()
-    } finally {
-      weatherInFlight = null
+      const vk = `${typeof v}:${v}`
+      if (!valueIdx.has(vk)) {
+        valueIdx.set(vk, values.length)
+        values.push(v)
+      }
+      tags.push(keyIdx.get(k), valueIdx.get(vk))
     }
-  })()
+    return tags
+  }
 
-  try {
-    await weatherInFlight
-  } catch {}
+  const encodeValue = (v) => {
+    const pbf = createPbf()
+    if (typeof v === "string") pbf.string(1, v)
+    else if (typeof v === "boolean") pbf.uint(7, v ? 1 : 0)
+    else if (Number.isInteger(v)) v >= 0 ? pbf.uint(5, v) : pbf.uint(6, zigzag(v))
+    else pbf.double(3, v)
+    return pbf.finish()
+  }
 
-  return res.json(readJSON(files.temperature) || cached)
-})
+  return {
+    get size() {
+      return features.length
+    },
+    addPoint(props, [x, y]) {
+      features.push({ type: 1, tags: tagsFor(props), geometry: [mvtCommand(1, 1), zigzag(x), zigzag(y)] })
+    },
+    addLine(props, coords) {
+      const geometry = [mvtCommand(1, 1), zigzag(coords[0][0]), zigzag(coords[0][1]), mvtCommand(2, coords.length - 1)]
+      for (let i = 1; i < coords.length; i++) {
+        geometry.push(zigzag(coords[i][0] - coords[i - 1][0]), zigzag(coords[i][1] - coords[i - 1][1]))
+      }
+      features.push({ type: 2, tags: tagsFor(props), geometry })
+    },
+    encode() {
+      const pbf = createPbf()
+      pbf.uint(15, 2)
+      pbf.string(1, name)
+      for (const f of features) {
+        const fp = createPbf()
+        fp.packed(2, f.tags)
+        fp.uint(3, f.type)
+        fp.packed(4, f.geometry)
+        pbf.bytes(2, fp.finish())
+      }
+      for (const k of keys) pbf.string(3, k)
+      for (const v of values) pbf.bytes(4, encodeValue(v))
+      pbf.uint(5, MVT_EXTENT)
+      return pbf.finish()
+    },
+  }
+}
 
-app.post("/api/temperature", (req, res) => {
-  const current = readJSON(files.temperature) || {}
-  const next = { ...current, ...(req.body || {}), timestamp: new Date().toISOString() }
-  writeJSON(files.temperature, next)
-  res.json(next)
-})
+// lon/lat → tile-coördinaten (web mercator, 0..MVT_EXTENT binnen de tile)
+function tileProjector(z, x, y) {
+  const n = 2 ** z
+  return (p) => {
+    const lat = Math.max(-85.05112878, Math.min(85.05112878, p.lat))
+    const latR = (lat * Math.PI) / 180
+    const wx = ((p.lon + 180) / 360) * n
+    const wy = ((1 - Math.log(Math.tan(latR) + 1 / Math.cos(latR)) / Math.PI) / 2) * n
+    return [Math.round((wx - x) * MVT_EXTENT), Math.round((wy - y) * MVT_EXTENT)]
+  }
+}
 
-// ─────────────────────────────────────────────
-// POIs
-// ─────────────────────────────────────────────
-app.get("/api/pois", (_req, res) => {
-  res.json(readJSON(files.pois) || [])
-})
+// [minLon, minLat, maxLon, maxLat] van een tile incl. buffer
+function tileBbox(z, x, y) {
+  const n = 2 ** z
+  const pad = MVT_BUFFER / MVT_EXTENT
+  const lon = (tx) => (tx / n) * 360 - 180
+  const lat = (ty) => (Math.atan(Math.sinh(Math.PI * (1 - (2 * ty) / n))) * 180) / Math.PI
+  return [lon(x - pad), lat(y + 1 + pad), lon(x + 1 + pad), lat(y - pad)]
+}
 
-app.post("/api/pois", (req, res) => {
-  const { lat, lon, note, name } = req.body || {}
-  if (typeof lat !== "number" || typeof lon !== "number") {
-    return res.status(400).json({ error: "Invalid coordinates" })
+function bboxOverlaps(a, b) {
+  return a[0] <= b[2] && a[2] >= b[0] && a[1] <= b[3] && a[3] >= b[1]
+}
+
+/**
+ * Lijnstukken binnen een tile uit een puntenstroom (iterate(onPoint)).
+ * Een run loopt zolang opeenvolgende segmenten de (gebufferde) tile raken en er geen
+ * segment-breuk is; elke run gaat door een eigen streaming simplifier.
+ */
+async function tileLinesFromStream({ z, x, y, toleranceM, iterate }) {
+  const project = tileProjector(z, x, y)
+  const lo = -MVT_BUFFER
+  const hi = MVT_EXTENT + MVT_BUFFER
+  const lines = []
+  let run = null
+  let prev = null
+  let prevXY = null
+
+  const startRun = () => {
+    const coords = []
+    const simplifier = createSimplifier(toleranceM, async (p) => {
+      const xy = project(p)
+      const last = coords[coords.length - 1]
+      if (!last || last[0] !== xy[0] || last[1] !== xy[1]) coords.push(xy)
+    })
+    run = { coords, simplifier }
   }
-  const pois = readJSON(files.pois) || []
-  const item = {
-    id: uuid(),
-    lat: +lat,
-    lon: +lon,
-    note: (name ?? note ?? "").toString(),
-    timestamp: new Date().toISOString(),
+  const endRun = async () => {
+    if (!run) return
+    await run.simplifier.flush()
+    if (run.coords.length >= 2) lines.push(run.coords)
+    run = null
   }
-  pois.push(item)
-  writeJSON(files.pois, pois)
-  res.json({ ok: true, id: item.id, count: pois.length })
-})
 
-// ─────────────────────────────────────────────
-// Routesets (save is stream-safe bij NDJSON)
-// ─────────────────────────────────────────────
-app.get("/api/routesets", (_req, res) => {
-  res.json(readJSON(files.routesets) || [])
-})
+  await iterate(async (p) => {
+    const xy = project(p)
+    if (prev && !isSegmentBreak(prev, p)) {
+      const touches =
+        Math.max(prevXY[0], xy[0]) >= lo &&
+        Math.min(prevXY[0], xy[0]) <= hi &&
+        Math.max(prevXY[1], xy[1]) >= lo &&
+        Math.min(prevXY[1], xy[1]) <= hi
+      if (touches) {
+        if (!run) {
+          startRun()
+          await run.simplifier.push(prev)
+        }
+        await run.simplifier.push(p)
+      } else {
+        await endRun()
+      }
+    } else {
+      await endRun()
+    }
+    prev = p
+    prevXY = xy
+  })
+  await endRun()
+  return lines
+}
 
-async function writeRoutesetFromCurrentRoute(filePath) {
-  // routeset_<id>.json moet een JSON array blijven (compat met je bestaande frontend)
-  const ws = fs.createWriteStream(filePath + ".tmp", { encoding: "utf-8" })
-  ws.write("[")
-  let first = true
-  let count = 0
+function routesetBbox(id) {
+  const fp = files.routesetFile(id)
+  let mtimeMs
+  try {
+    mtimeMs = fs.statSync(fp).mtimeMs
+  } catch {
+    return null
+  }
+  const cached = tracker().routesetBboxCache.get(id)
+  if (cached && cached.mtimeMs === mtimeMs) return cached.bbox
+
+  let bbox = null
+  for (const p of readJSON(fp) || []) {
+    if (!p || typeof p.lat !== "number" || typeof p.lon !== "number") continue
+    if (!bbox) bbox = [p.lon, p.lat, p.lon, p.lat]
+    else bbox = [Math.min(bbox[0], p.lon), Math.min(bbox[1], p.lat), Math.max(bbox[2], p.lon), Math.max(bbox[3], p.lat)]
+  }
+  tracker().routesetBboxCache.set(id, { mtimeMs, bbox })
+  return bbox
+}
 
-  const writePoint = (p) => {
-    const out = {
-      lat: +p.lat,
-      lon: +p.lon,
-      timestamp: p.timestamp,
-      alt: typeof p.alt === "number" ? p.alt : undefined,
+// Eén iterator per aaneengesloten byte range (los gelezen, zodat er geen nep-segment over een gat ontstaat);
+// archieven apart ervóór, alleen als hun bbox de tile raakt (oude archieven zonder bbox altijd)
+function routeTileIterators(bbox) {
+  if (tracker().routeFormat === "ndjson") {
+    const ranges = routeRangesForBbox(bbox, fileSize(files.route))
+    if (ranges) {
+      const archived = archivedRouteSources()
+        .filter((a) => !a.bbox || bboxOverlaps(a.bbox, bbox))
+        .map((a) => (onPoint) => streamArchivePoints(a, { redact: true, onPoint: (p) => onPoint(p) }))
+      return [...archived, ...ranges.map((range) => (onPoint) => streamRoutePointsNdjson({ redact: true, ranges: [range], onPoint }))]
     }
-    const json = JSON.stringify(out)
-    if (!first) ws.write(",")
-    first = false
-    ws.write(json)
-    count++
   }
+  return [(onPoint) => streamRoutePoints({ redact: true, onPoint })]
+}
 
-  if (routeFormat === "ndjson") {
-    await streamRoutePointsNdjson({
-      redact: false,
-      onPoint: async (p) => writePoint(p),
+async function buildTile(z, x, y) {
+  const toleranceM = simplifyToleranceFromQuery({ zoom: z }) * MVT_SIMPLIFY_PX
+  const bbox = tileBbox(z, x, y)
+  const project = tileProjector(z, x, y)
+  const layers = []
+
+  // live route: zelfde redactie als de public file; via de index alleen de blokken rond de tile
+  const route = createMvtLayer("route")
+  for (const iterate of routeTileIterators(bbox)) {
+    const routeLines = await tileLinesFromStream({ z, x, y, toleranceM, iterate })
+    for (const coords of routeLines) route.addLine({ source: "route" }, coords)
+  }
+  layers.push(route)
+
+  const routesets = createMvtLayer("routesets")
+  for (const meta of readJSON(files.routesets) || []) {
+    const rsBbox = routesetBbox(meta.id)
+    if (!rsBbox || !bboxOverlaps(rsBbox, bbox)) continue
+    const lines = await tileLinesFromStream({
+      z,
+      x,
+      y,
+      toleranceM,
+      iterate: (onPoint) => routesetPointIterator(files.routesetFile(meta.id))({ redact: true, onPoint }),
     })
-  } else {
-    const points = readJSON(files.route) || []
-    for (const p of points) {
-      if (!p || typeof p.lat !== "number" || typeof p.lon !== "number") continue
-      writePoint(p)
-    }
+    for (const coords of lines) routesets.addLine({ id: meta.id, name: meta.name }, coords)
   }
+  layers.push(routesets)
 
-  ws.write("]")
-  await new Promise((resolve) => ws.end(resolve))
+  const pois = createMvtLayer("pois")
+  for (const poi of exportPois({ redact: true })) {
+    if (poi.lon < bbox[0] || poi.lon > bbox[2] || poi.lat < bbox[1] || poi.lat > bbox[3]) continue
+    pois.addPoint({ id: poi.id, name: poi.note, timestamp: poi.timestamp }, project(poi))
+  }
+  layers.push(pois)
 
-  // atomic swap
+  // lege layers weglaten; helemaal leeg = lege tile (0 bytes, geldig)
+  const tile = createPbf()
+  for (const layer of layers) if (layer.size) tile.bytes(3, layer.encode())
+  return tile.finish()
+}
+
+function tileCachePath(z, x, y) {
+  return path.join(files.tileDir, String(z), String(x), `${y}.mvt`)
+}
+
+// directory los koppelen (rename) en op de achtergrond weggooien
+function removeTileDir(dir) {
+  const old = `${dir}.old-${Date.now()}-${crypto.randomBytes(2).toString("hex")}`
   try {
-    fs.renameSync(filePath + ".tmp", filePath)
+    fs.renameSync(dir, old)
   } catch {
-    fs.copyFileSync(filePath + ".tmp", filePath)
-    fs.unlinkSync(filePath + ".tmp")
+    return
   }
+  fs.promises.rm(old, { recursive: true, force: true }).catch(() => {})
+}
 
-  return count
+function wipeTileCache() {
+  tracker().tileEpoch++
+  tracker().tileInvalidatePrev = null
+  tracker().tileStale.clear()
+  removeTileDir(files.tileDir)
 }
 
-app.post("/api/routesets/save", async (req, res) => {
-  try {
-    const { name } = req.body || {}
+/**
+ * Nieuwe public punten: alleen de tiles (per zoom) die het stuk vanaf het vorige punt raken.
+ * Weggooien gebeurt op de achtergrond (max MVT_UNLINK_CONCURRENCY tegelijk); tot dan telt de
+ * tile als miss. continuous=false (late inserts): de punten sluiten niet aan op het vorige punt.
+ */
+function invalidateTilesForPoints(points, { continuous = true } = {}) {
+  if (!points.length) return
+  const t = tracker()
+  t.tileEpoch++
+  let pts = points
+  if (continuous) {
+    if (t.tileInvalidatePrev) pts = [t.tileInvalidatePrev, ...points]
+    t.tileInvalidatePrev = points[points.length - 1]
+  }
 
-    // check of we minimaal 2 punten hebben
-    let count = 0
-    if (routeFormat === "ndjson") {
-      await streamRoutePointsNdjson({
-        redact: false,
-        onPoint: async () => {
-          count++
-          if (count >= 2) throw new Error("__ENOUGH__")
-        },
-      }).catch((e) => {
-        if (e?.message !== "__ENOUGH__") throw e
-      })
-    } else {
-      const points = readJSON(files.route) || []
-      count = Array.isArray(points) ? points.length : 0
+  const lons = pts.map((p) => p.lon)
+  const lats = pts.map((p) => p.lat)
+  const pad = MVT_BUFFER / MVT_EXTENT
+  for (let z = 0; z <= MVT_MAX_ZOOM; z++) {
+    const n = 2 ** z
+    const project = tileProjector(z, 0, 0)
+    const [ax, ay] = project({ lon: Math.min(...lons), lat: Math.max(...lats) })
+    const [bx, by] = project({ lon: Math.max(...lons), lat: Math.min(...lats) })
+    const clamp = (v) => Math.max(0, Math.min(n - 1, v))
+    const x0 = clamp(Math.floor(ax / MVT_EXTENT - pad))
+    const x1 = clamp(Math.floor(bx / MVT_EXTENT + pad))
+    const y0 = clamp(Math.floor(ay / MVT_EXTENT - pad))
+    const y1 = clamp(Math.floor(by / MVT_EXTENT + pad))
+
+    if ((x1 - x0 + 1) * (y1 - y0 + 1) > MVT_INVALIDATE_MAX_TILES) {
+      removeTileDir(path.join(files.tileDir, String(z)))
+      continue
     }
-
-    if (count < 2) return res.status(400).json({ error: "Not enough points to save" })
-
-    const id = uuid()
-    const meta = {
-      id,
-      name: (name || `Route ${new Date().toLocaleString()}`).toString(),
-      createdAt: new Date().toISOString(),
-      count: 0, // vullen na schrijven
+    for (let tx = x0; tx <= x1; tx++) {
+      for (let ty = y0; ty <= y1; ty++) t.tileStale.add(tileCachePath(z, tx, ty))
     }
+  }
+  void drainTileUnlinks(t)
+}
 
-    const filePath = files.routesetFile(id)
-    const writtenCount = await writeRoutesetFromCurrentRoute(filePath)
-    meta.count = writtenCount
+// Vertraagde invalidaties staan in tilesDelayed.ndjson (zelfde wachtrij-vorm en 10 s ronde als de
+// public location): een herstart vóór het vrijgeven laat de tiles anders stale in de cache staan
+function queueDelayedTileInvalidation(points) {
+  const entry = { timestamp: new Date().toISOString(), points }
+  getDelayedQueue("tile").push(entry)
+  fs.appendFileSync(files.tileQueue, JSON.stringify(entry) + "\n", "utf-8")
+}
 
-    const list = readJSON(files.routesets) || []
-    list.push(meta)
-    writeJSON(files.routesets, list)
+function invalidateDueTiles(now = Date.now()) {
+  const queue = getDelayedQueue("tile")
+  let n = 0
+  while (n < queue.length && now - new Date(queue[n].timestamp).getTime() >= PUBLIC_DELAY_MS) n++
+  if (!n) return
+  const due = queue.splice(0, n).flatMap((e) => (e.points || []).map((p) => redactPoint(p)).filter(Boolean))
+  fs.writeFileSync(files.tileQueue, queue.map((e) => JSON.stringify(e) + "\n").join(""), "utf-8")
+  invalidateTilesForPoints(due)
+}
 
-    res.json({ ok: true, ...meta })
-  } catch (e) {
-    console.error("routesets/save failed:", e?.message || e)
-    res.status(500).json({ error: "routeset save failed" })
+async function drainTileUnlinks(t) {
+  if (t.tileUnlinkRunning) return
+  t.tileUnlinkRunning = true
+  try {
+    while (t.tileStale.size) {
+      const batch = [...t.tileStale].slice(0, MVT_UNLINK_CONCURRENCY)
+      await Promise.all(batch.map((fp) => fs.promises.unlink(fp).catch(() => {}))) // niet gecachet
+      for (const fp of batch) t.tileStale.delete(fp)
+    }
+  } finally {
+    t.tileUnlinkRunning = false
   }
-})
+}
 
-app.delete("/api/routesets/:id", (req, res) => {
-  const { id } = req.params
-  const list = readJSON(files.routesets) || []
-  const idx = list.findIndex((x) => x.id === id)
-  if (idx === -1) return res.status(404).json({ error: "not found" })
-  list.splice(idx, 1)
-  writeJSON(files.routesets, list)
+// Tile bouwen + cachen; een miss die al onderweg is (zelfde epoch) wordt gedeeld
+function buildTileShared(z, x, y) {
+  const t = tracker()
+  const key = `${z}/${x}/${y}`
+  const running = t.tileBuilds.get(key)
+  if (running && running.epoch === t.tileEpoch) return running.promise
+
+  const epoch = t.tileEpoch
+  const promise = (async () => {
+    const buf = await buildTile(z, x, y)
+    if (MVT_CACHE && epoch === t.tileEpoch) {
+      const fp = tileCachePath(z, x, y)
+      await fs.promises.mkdir(path.dirname(fp), { recursive: true })
+      const tmp = `${fp}.${process.pid}.${crypto.randomBytes(2).toString("hex")}.tmp`
+      await fs.promises.writeFile(tmp, buf)
+      await fs.promises.rename(tmp, fp)
+    }
+    return buf
+  })()
+  const entry = { epoch, promise }
+  t.tileBuilds.set(key, entry)
+  promise.then(
+    () => t.tileBuilds.get(key) === entry && t.tileBuilds.delete(key),
+    () => t.tileBuilds.get(key) === entry && t.tileBuilds.delete(key),
+  )
+  return promise
+}
 
-  const fp = files.routesetFile(id)
-  if (fs.existsSync(fp)) fs.unlinkSync(fp)
-  res.json({ ok: true })
-})
+app.get("/tiles/:z/:x/:y.mvt", requireScope("public"), async (req, res) => {
+  const z = Number(req.params.z)
+  const x = Number(req.params.x)
+  const y = Number(req.params.y)
+  if (![z, x, y].every(Number.isInteger) || z < 0 || z > MVT_MAX_ZOOM || x < 0 || y < 0 || x >= 2 ** z || y >= 2 ** z) {
+    return res.status(400).json({ error: "invalid tile" })
+  }
 
-app.get("/api/routesets/:id", (req, res) => {
-  const fp = files.routesetFile(req.params.id)
-  if (!fs.existsSync(fp)) return res.status(404).json({ error: "not found" })
-  res.json(readJSON(fp) || [])
-})
+  res.setHeader("Content-Type", "application/vnd.mapbox-vector-tile")
+  res.setHeader("Cache-Control", "no-cache")
 
-app.get("/api/routesets/:id/geojson", (req, res) => {
-  const fp = files.routesetFile(req.params.id)
-  if (!fs.existsSync(fp)) return res.status(404).json({ error: "not found" })
-  const pts = readJSON(fp) || []
-  const coords = pts
-    .map((p) => [p.lon, p.lat])
-    .filter((a) => a.every((n) => typeof n === "number"))
-  const fc = {
-    type: "FeatureCollection",
-    features:
-      coords.length > 1
-        ? [
-            {
-              type: "Feature",
-              properties: { routesetId: req.params.id },
-              geometry: { type: "LineString", coordinates: coords },
-            },
-          ]
-        : [],
+  const fp = tileCachePath(z, x, y)
+  if (MVT_CACHE && !tracker().tileStale.has(fp)) {
+    try {
+      const cached = await fs.promises.readFile(fp)
+      res.setHeader("X-Tile-Cache", "hit")
+      return res.end(cached)
+    } catch {
+      // niet (meer) in de cache, bv. net async weggegooid → opnieuw bouwen
+    }
+  }
+
+  try {
+    const buf = await buildTileShared(z, x, y)
+    res.setHeader("X-Tile-Cache", "miss")
+    res.end(buf)
+  } catch (e) {
+    console.error("tile failed:", e?.message || e)
+    if (!res.headersSent) res.status(500).json({ error: "tile failed" })
+    else res.end()
   }
-  res.setHeader("Content-Type", "application/geo+json; charset=utf-8")
-  res.json(fc)
 })
 
 // ─────────────────────────────────────────────
 // Privacy zones + legacy compat
 // ─────────────────────────────────────────────
-app.get("/getPrivacyZones", (_req, res) => {
+app.get("/getPrivacyZones", requireScope("admin", { shared: true }), (_req, res) => {
   res.json(readJSON(files.privacyZones) || [])
 })
 
-app.post("/addPrivacyZone", (req, res) => {
-  const { lat, lon, radius, name } = req.body || {}
-  if (typeof lat !== "number" || typeof lon !== "number" || typeof radius !== "number") {
-    return res.status(400).json({ error: "lat, lon, radius required" })
+const PRIVACY_ZONE_MAX_VERTICES = 5000
+const PRIVACY_ZONE_MAX_DELAY_MIN = 7 * 24 * 60
+
+function validPosition(pos) {
+  return (
+    Array.isArray(pos) &&
+    typeof pos[0] === "number" &&
+    typeof pos[1] === "number" &&
+    Math.abs(pos[0]) <= 180 &&
+    Math.abs(pos[1]) <= 90
+  )
+}
+
+// GeoJSON Polygon (of Feature met Polygon) → genormaliseerde, gesloten rings; { error } bij ongeldige input
+function parseZonePolygon(input) {
+  const geom = input?.type === "Feature" ? input.geometry : input
+  if (!geom || geom.type !== "Polygon" || !Array.isArray(geom.coordinates) || !geom.coordinates.length) {
+    return { error: "polygon must be a GeoJSON Polygon" }
+  }
+  let vertices = 0
+  const rings = []
+  for (const ring of geom.coordinates) {
+    if (!Array.isArray(ring) || !ring.every(validPosition)) return { error: "invalid polygon coordinates" }
+    const r = ring.map(([lon, lat]) => [lon, lat])
+    const [f, l] = [r[0], r[r.length - 1]]
+    if (f[0] !== l[0] || f[1] !== l[1]) r.push([f[0], f[1]])
+    if (r.length < 4) return { error: "polygon ring needs at least 3 distinct positions" }
+    vertices += r.length
+    rings.push(r)
+  }
+  if (vertices > PRIVACY_ZONE_MAX_VERTICES) return { error: `polygon has more than ${PRIVACY_ZONE_MAX_VERTICES} vertices` }
+  return { polygon: { type: "Polygon", coordinates: rings } }
+}
+
+/**
+ * Valideert zone-input (nieuw of partial update bovenop `prev`).
+ * Cirkel: lat, lon, radius (0 < radius <= PRIVACY_ZONE_MAX_RADIUS_M). Polygoon: polygon (GeoJSON).
+ */
+function parsePrivacyZoneInput(body, prev = null) {
+  const b = body?.type === "Feature" ? { ...body.properties, polygon: body.geometry } : body || {}
+  const zone = prev ? { ...prev } : {}
+
+  if (b.polygon !== undefined) {
+    const parsed = parseZonePolygon(b.polygon)
+    if (parsed.error) return parsed
+    zone.polygon = parsed.polygon
+    delete zone.lat
+    delete zone.lon
+    delete zone.radius
+  } else if (b.lat !== undefined || b.lon !== undefined || b.radius !== undefined) {
+    const lat = b.lat !== undefined ? b.lat : zone.lat
+    const lon = b.lon !== undefined ? b.lon : zone.lon
+    const radius = b.radius !== undefined ? b.radius : zone.radius
+    if (typeof lat !== "number" || typeof lon !== "number" || typeof radius !== "number") {
+      return { error: "lat, lon, radius required" }
+    }
+    if (!validPosition([lon, lat])) return { error: "lat/lon out of range" }
+    if (!Number.isFinite(radius) || radius <= 0 || radius > PRIVACY_ZONE_MAX_RADIUS_M) {
+      return { error: `radius must be > 0 and <= ${PRIVACY_ZONE_MAX_RADIUS_M} m` }
+    }
+    Object.assign(zone, { lat: +lat, lon: +lon, radius: +radius })
+    delete zone.polygon
+  } else if (!prev) {
+    return { error: "lat, lon, radius or polygon required" }
+  }
+
+  if (b.name !== undefined) zone.name = String(b.name)
+  if (b.mode !== undefined) {
+    if (!PRIVACY_ZONE_MODES.includes(b.mode)) return { error: `mode must be one of ${PRIVACY_ZONE_MODES.join(", ")}` }
+    zone.mode = b.mode
+  }
+  if (b.gridM !== undefined) {
+    if (typeof b.gridM !== "number" || !(b.gridM >= 10 && b.gridM <= PRIVACY_ZONE_MAX_RADIUS_M)) {
+      return { error: `gridM must be between 10 and ${PRIVACY_ZONE_MAX_RADIUS_M}` }
+    }
+    zone.gridM = b.gridM
+  }
+  if (b.delayMinutes !== undefined) {
+    if (typeof b.delayMinutes !== "number" || !(b.delayMinutes >= 0 && b.delayMinutes <= PRIVACY_ZONE_MAX_DELAY_MIN)) {
+      return { error: `delayMinutes must be between 0 and ${PRIVACY_ZONE_MAX_DELAY_MIN}` }
+    }
+    zone.delayMinutes = b.delayMinutes
+  }
+  zone.mode = zone.mode || "drop"
+  if (zone.mode === "delay" && !(zone.delayMinutes > 0)) return { error: "delay mode needs delayMinutes > 0" }
+  return { zone }
+}
+
+// zones opslaan + cache verversen; zones zijn gedeeld → public file van elke tracker opnieuw
+function savePrivacyZones(zones) {
+  writeJSON(files.privacyZones, zones)
+  privacyCache.loadedAt = 0
+  forEachTracker(() => requestFullPublicRebuild("zones"))
+}
+
+// optioneel { retroactive: "purge"|"redact", dryRun } → bestaande punten in de nieuwe zone (alle trackers)
+app.post("/addPrivacyZone", requireScope("admin", { shared: true }), async (req, res) => {
+  const parsed = parsePrivacyZoneInput(req.body)
+  if (parsed.error) return res.status(400).json({ error: parsed.error })
+  const retroMode = req.body?.retroactive ?? null
+  if (retroMode !== null && !RETRO_MODES.includes(retroMode)) {
+    return res.status(400).json({ error: `retroactive must be one of: ${RETRO_MODES.join(", ")}` })
   }
+
   const zones = readJSON(files.privacyZones) || []
   const item = {
     id: uuid(),
-    lat: +lat,
-    lon: +lon,
-    radius: +radius,
-    name: (name || "").toString(),
+    name: "",
+    ...parsed.zone,
     createdAt: new Date().toISOString(),
   }
   zones.push(item)
-  writeJSON(files.privacyZones, zones)
-  // cache verversen
-  privacyCache.loadedAt = 0
-  res.json({ ok: true, id: item.id, count: zones.length })
+  savePrivacyZones(zones)
+
+  let retroactive = null
+  if (retroMode && retroactiveInFlight) {
+    retroactive = { error: "retroactive redaction already running" }
+  } else if (retroMode) {
+    retroactiveInFlight = true
+    try {
+      const opts = { mode: retroMode, zoneIds: [item.id], dryRun: req.body.dryRun !== false, allTrackers: true }
+      retroactive = await runRetroactiveRedaction(opts)
+    } catch (e) {
+      console.error("❌ retroactive redaction failed:", e?.message || e)
+      retroactive = { error: "retroactive redaction failed" }
+    } finally {
+      retroactiveInFlight = false
+    }
+  }
+  res.json({ ok: true, id: item.id, count: zones.length, ...(retroactive ? { retroactive } : {}) })
+})
+
+// partial update: alleen meegegeven velden wijzigen (vorm wisselen kan ook: polygon ↔ lat/lon/radius)
+app.put("/updatePrivacyZone/:id", requireScope("admin", { shared: true }), (req, res) => {
+  const zones = readJSON(files.privacyZones) || []
+  const idx = zones.findIndex((z) => z.id === req.params.id)
+  if (idx === -1) return res.status(404).json({ error: "not found" })
+
+  const parsed = parsePrivacyZoneInput(req.body, zones[idx])
+  if (parsed.error) return res.status(400).json({ error: parsed.error })
+
+  zones[idx] = { ...parsed.zone, id: zones[idx].id, updatedAt: new Date().toISOString() }
+  savePrivacyZones(zones)
+  res.json({ ok: true, zone: zones[idx] })
 })
 
-app.delete("/removePrivacyZone/:id", (req, res) => {
+app.delete("/removePrivacyZone/:id", requireScope("admin", { shared: true }), (req, res) => {
   const zones = readJSON(files.privacyZones) || []
   const idx = zones.findIndex((z) => z.id === req.params.id)
   if (idx === -1) return res.status(404).json({ error: "not found" })
   zones.splice(idx, 1)
-  writeJSON(files.privacyZones, zones)
-  privacyCache.loadedAt = 0
+  savePrivacyZones(zones)
   res.json({ ok: true })
 })
 
+// ─────────────────────────────────────────────
+// Retroactieve redactie: punten die al opgeslagen zijn in (nieuwe) zones
+// ─────────────────────────────────────────────
+// mode=purge: punten in de zone(s) verwijderen
+// mode=redact: opslaan zoals de public output ze toont (snap/fuzz → aangepaste coords, drop → weg;
+//   delay-zones doen niks meer met oude punten)
+// Werkt op de live log (incl. het look-ahead punt), routeRaw/routePaused, de public locatie + wachtrij,
+// archieven (gz), routesets, automatische POIs en prullenbak-backups.
+// dryRun (default) telt alleen: per bestand { points, affected }.
+const RETRO_MODES = ["purge", "redact"]
+let retroactiveInFlight = false
+
+// p → zelfde punt (niet geraakt), nieuw punt (geredacteerd) of null (weg)
+function retroactiveTransform(mode, zoneIds) {
+  const targets = zoneIds ? new Set(zoneIds) : null
+  return (p) => {
+    const hit = privacyZoneCandidates(p.lat, p.lon).some((z) => (!targets || targets.has(z.id)) && zoneContains(z, p.lat, p.lon))
+    if (!hit) return p
+    if (mode === "purge") return null
+    return applyPrivacyZone(p, Infinity)
+  }
+}
+
+function retroLine(line, transform, stats) {
+  const p = safeParseJSONLine(line.trim())
+  if (!p || typeof p.lat !== "number" || typeof p.lon !== "number") return line.trim() ? line : null
+  stats.points++
+  const out = transform(p)
+  if (out !== p) stats.affected++
+  if (out) stats.kept++
+  if (out === p) return line
+  return out ? JSON.stringify(out) : null
+}
+
+/**
+ * NDJSON bestand herschrijven via .tmp. Regels die tijdens het streamen zijn bijgeschreven (ingest)
+ * gaan synchroon mee vlak voor de rename. Is het bestand intussen vervangen (reset) of bij de live
+ * log midden in herschreven (late insert), dan wordt er niets vervangen → { changed: true }.
+ */
+async function retroRewriteNdjson(fp, transform, { dryRun, live = false }) {
+  const stats = { points: 0, affected: 0, kept: 0 }
+  if (!fs.existsSync(fp)) return stats
+  const startIno = fs.statSync(fp).ino
+  const startSeq = tracker().routeRewriteSeq
+  const end = fileSize(fp)
+  const tmp = fp + ".retro.tmp"
+  const ws = dryRun ? null : fs.createWriteStream(tmp, { encoding: "utf-8" })
+
+  try {
+    await readLinesWithOffsets(fp, {
+      end,
+      onLine: async (line) => {
+        const out = retroLine(line, transform, stats)
+        if (ws && out !== null && !ws.write(out + "\n")) await new Promise((resolve) => ws.once("drain", resolve))
+      },
+    })
+  } finally {
+    if (ws) await new Promise((resolve) => ws.end(resolve))
+  }
+  if (dryRun) return stats
+  if (!stats.affected) {
+    fs.unlinkSync(tmp)
+    return stats
+  }
+
+  const now = fs.statSync(fp)
+  if (now.ino !== startIno || now.size < end || (live && tracker().routeRewriteSeq !== startSeq)) {
+    fs.unlinkSync(tmp)
+    return { ...stats, changed: true }
+  }
+  if (now.size > end) {
+    const buf = Buffer.alloc(now.size - end)
+    const fd = fs.openSync(fp, "r")
+    try {
+      fs.readSync(fd, buf, 0, buf.length, end)
+    } finally {
+      fs.closeSync(fd)
+    }
+    const tail = []
+    for (const line of buf.toString("utf-8").split("\n")) {
+      const out = line ? retroLine(line, transform, stats) : null
+      if (out !== null) tail.push(out + "\n")
+    }
+    fs.appendFileSync(tmp, tail.join(""), "utf-8")
+  }
+  fs.renameSync(tmp, fp)
+  return stats
+}
+
+function retroRewriteJsonArray(fp, transform, { dryRun }) {
+  const stats = { points: 0, affected: 0, kept: 0 }
+  const arr = readJSON(fp)
+  if (!Array.isArray(arr)) return stats
+  const next = []
+  for (const p of arr) {
+    if (!p || typeof p.lat !== "number" || typeof p.lon !== "number") {
+      next.push(p)
+      continue
+    }
+    stats.points++
+    const out = transform(p)
+    if (out !== p) stats.affected++
+    if (out) next.push(out)
+  }
+  stats.kept = next.length
+  if (!dryRun && stats.affected) writeJSON(fp, next)
+  return stats
+}
+
+// locationData.json (één object); weg = leeg object, zoals vóór de eerste locatie
+function retroRewriteLocation(fp, transform, { dryRun }) {
+  const stats = { points: 0, affected: 0, kept: 0 }
+  const loc = readJSON(fp)
+  if (!loc || typeof loc.lat !== "number" || typeof loc.lon !== "number") return stats
+  stats.points = 1
+  const out = transform(loc)
+  if (out) stats.kept = 1
+  if (out === loc) return stats
+  stats.affected = 1
+  if (dryRun) return stats
+  // fuzzed alleen als de zone vergroofd heeft (snap schuift naar de rand)
+  const fuzzed = out && privacyZoneFor(loc.lat, loc.lon)?.mode === "fuzz"
+  writeJSON(fp, out ? (fuzzed ? { ...out, fuzzed: true } : out) : {})
+  return stats
+}
+
+async function retroRewriteArchive(archive, transform, { dryRun }) {
+  const stats = { points: 0, affected: 0, count: 0, from: null, to: null }
+  const fp = path.join(files.archiveDir, archive.file)
+  if (!fs.existsSync(fp)) return stats
+  const tmp = fp + ".retro.tmp"
+  let gzip = null
+  let finished = null
+  if (!dryRun) {
+    gzip = zlib.createGzip()
+    const ws = fs.createWriteStream(tmp)
+    gzip.pipe(ws)
+    finished = new Promise((resolve, reject) => {
+      ws.on("finish", resolve)
+      ws.on("error", reject)
+    })
+  }
+
+  let minT = null
+  let maxT = null
+  await streamArchivePoints(archive, {
+    onPoint: async (p) => {
+      stats.points++
+      const out = transform(p)
+      if (out !== p) stats.affected++
+      if (!out) return
+      const t = pointTime(out)
+      if (t !== null) {
+        minT = minT === null ? t : Math.min(minT, t)
+        maxT = maxT === null ? t : Math.max(maxT, t)
+      }
+      stats.count++
+      if (gzip && !gzip.write(JSON.stringify(out) + "\n")) await new Promise((resolve) => gzip.once("drain", resolve))
+    },
+  })
+  if (dryRun) return stats
+  gzip.end()
+  await finished
+  if (!stats.affected) {
+    fs.unlinkSync(tmp)
+    return stats
+  }
+  fs.renameSync(tmp, fp)
+  stats.from = minT !== null ? new Date(minT).toISOString() : null
+  stats.to = maxT !== null ? new Date(maxT).toISOString() : null
+  return stats
+}
+
+// alle bestanden van de actieve tracker; rapport per bestand (pad relatief aan de tracker-map)
+async function retroactiveRedactTracker(mode, zoneIds, dryRun) {
+  const transform = retroactiveTransform(mode, zoneIds)
+  const report = []
+  const add = (file, kind, stats) => {
+    if (stats.changed) report.push({ file, kind, error: "file changed during rewrite, retry" })
+    else report.push({ file, kind, points: stats.points, affected: stats.affected })
+  }
+
+  // live log: rotatie blokkeren zolang we herschrijven
+  if (tracker().rotationInFlight) await tracker().rotationInFlight.catch(() => {})
+  let release = null
+  tracker().rotationInFlight = new Promise((resolve) => (release = resolve))
+  try {
+    if (tracker().routeFormat === "ndjson") {
+      let stats = null
+      for (let attempt = 0; attempt < 3; attempt++) {
+        stats = await retroRewriteNdjson(files.route, transform, { dryRun, live: true })
+        if (!stats.changed) break
+      }
+      add("routeData.json", "live", stats)
+      if (!dryRun && !stats.changed) {
+        // look-ahead punt zit nog niet in de log: ook zonder geraakte log-punten door de transform
+        // (en anders zou het bij het herladen verdwijnen)
+        flushPendingPoint(transform)
+        if (stats.affected) {
+          tracker().publicFullRebuildReason = "retroactive"
+          reloadRouteState()
+        }
+      }
+    } else {
+      const stats = retroRewriteJsonArray(files.route, transform, { dryRun })
+      add("routeData.json", "live", stats)
+      if (!dryRun) {
+        flushPendingPoint(transform)
+        if (stats.affected) {
+          tracker().publicFullRebuildReason = "retroactive"
+          reloadRouteState()
+        }
+      }
+    }
+  } finally {
+    tracker().rotationInFlight = null
+    release()
+  }
+
+  for (const [fp, kind] of [
+    [files.routeRaw, "raw"],
+    [files.routePaused, "paused"],
+  ]) {
+    if (fs.existsSync(fp)) add(path.basename(fp), kind, await retroRewriteNdjson(fp, transform, { dryRun }))
+  }
+
+  // public locatie + wachtrij (PUBLIC_DELAY_MS)
+  add(path.basename(files.location), "location", retroRewriteLocation(files.location, transform, { dryRun }))
+  if (fs.existsSync(files.locationQueue)) {
+    const stats = await retroRewriteNdjson(files.locationQueue, transform, { dryRun })
+    add(path.basename(files.locationQueue), "location-queue", stats)
+    if (!dryRun && stats.affected) tracker().locationQueue = null
+  }
+
+  const archives = readArchives()
+  let archivesChanged = false
+  for (const a of archives) {
+    const stats = await retroRewriteArchive(a, transform, { dryRun })
+    add(path.join("archive", a.file), "archive", stats)
+    if (!dryRun && stats.affected) {
+      Object.assign(a, { count: stats.count, from: stats.from, to: stats.to, bytes: fileSize(path.join(files.archiveDir, a.file)) })
+      archivesChanged = true
+    }
+  }
+  if (archivesChanged) writeJSON(files.archives, archives)
+
+  // routesets worden standaard met redact:false opgeslagen → hier ook meenemen
+  const sets = readJSON(files.routesets) || []
+  let setsChanged = false
+  for (const meta of sets) {
+    const fp = files.routesetFile(meta.id)
+    if (!fs.existsSync(fp)) continue
+    const stats = retroRewriteJsonArray(fp, transform, { dryRun })
+    add(path.basename(fp), "routeset", stats)
+    if (!dryRun && stats.affected) {
+      Object.assign(meta, routesetMetaFor(readRoutesetPoints(meta.id) || []))
+      setsChanged = true
+    }
+  }
+  if (setsChanged) {
+    writeJSON(files.routesets, sets)
+    wipeTileCache()
+  }
+
+  // automatische (stop-)POIs van deze tracker; handmatige POIs blijven staan (pois.json is gedeeld)
+  const poiStats = retroRewriteJsonArray(files.pois, (p) => (p.automatic && p.tracker === tracker().id ? transform(p) : p), {
+    dryRun,
+  })
+  add(path.basename(files.pois), "poi", poiStats)
+  if (!dryRun && poiStats.affected) forEachTracker(wipeTileCache)
+
+  // backups in de prullenbak: anders komt alles bij een restore gewoon terug
+  const trash = readTrash()
+  let trashChanged = false
+  for (const e of trash) {
+    const fp = path.join(tracker().dir, e.file)
+    if (!fs.existsSync(fp)) continue
+    const stats =
+      e.format === "json"
+        ? retroRewriteJsonArray(fp, transform, { dryRun })
+        : await retroRewriteNdjson(fp, transform, { dryRun })
+    add(e.file, "trash", stats)
+    if (!dryRun && stats.affected && !stats.changed) {
+      Object.assign(e, { count: stats.kept, bytes: fileSize(fp) })
+      trashChanged = true
+    }
+  }
+  if (trashChanged) writeJSON(files.trash, trash)
+
+  const totals = report.reduce((acc, r) => ({ points: acc.points + (r.points || 0), affected: acc.affected + (r.affected || 0) }), {
+    points: 0,
+    affected: 0,
+  })
+  return { tracker: tracker().id, files: report, totals }
+}
+
+// body: { mode, zoneIds?, dryRun = true, allTrackers = false } → { error } of opties
+function parseRetroactiveInput(body, { defaultZoneIds = null } = {}) {
+  const mode = body?.mode ?? body?.retroactive
+  if (!RETRO_MODES.includes(mode)) return { error: `mode must be one of: ${RETRO_MODES.join(", ")}` }
+  let zoneIds = body?.zoneIds ?? defaultZoneIds
+  if (zoneIds !== null) {
+    if (!Array.isArray(zoneIds) || !zoneIds.length || zoneIds.some((id) => typeof id !== "string")) {
+      return { error: "zoneIds must be a non-empty array of zone ids" }
+    }
+    const known = new Set(getPrivacyZones().map((z) => z.id))
+    const unknown = zoneIds.filter((id) => !known.has(id))
+    if (unknown.length) return { error: `unknown zone(s): ${unknown.join(", ")}` }
+  }
+  return { mode, zoneIds, dryRun: body?.dryRun !== false, allTrackers: body?.allTrackers === true }
+}
+
+async function runRetroactiveRedaction({ mode, zoneIds, dryRun, allTrackers }) {
+  const list = allTrackers ? [...trackers.values()].filter((t) => t.started) : [tracker()]
+  const results = []
+  for (const t of list) {
+    results.push(await trackerContext.run(t, () => retroactiveRedactTracker(mode, zoneIds, dryRun)))
+  }
+  if (!dryRun) console.log(`🧹 retroactieve ${mode}: ${results.map((r) => `${r.tracker}=${r.totals.affected}`).join(", ")} punten`)
+  return { ok: true, mode, dryRun, zoneIds, trackers: results }
+}
+
+app.post("/api/privacy/retroactive", requireScope("admin"), async (req, res) => {
+  const opts = parseRetroactiveInput(req.body)
+  if (opts.error) return res.status(400).json({ error: opts.error })
+  if (opts.allTrackers && keyIsTrackerRestricted(req.apiKey)) {
+    return res.status(403).json({ error: "forbidden", shared: true })
+  }
+  if (retroactiveInFlight) return res.status(409).json({ error: "retroactive redaction already running" })
+
+  retroactiveInFlight = true
+  try {
+    res.json(await runRetroactiveRedaction(opts))
+  } catch (e) {
+    console.error("❌ retroactive redaction failed:", e?.message || e)
+    res.status(500).json({ error: "retroactive redaction failed" })
+  } finally {
+    retroactiveInFlight = false
+  }
+})
+
 // ─────────────────────────────────────────────
 // Health (handig voor monitoring)
 // ─────────────────────────────────────────────
-app.get("/api/health", (_req, res) => {
+app.get("/api/health", requireScope("public"), (_req, res) => {
   const mem = process.memoryUsage()
   let routeBytes = 0
   try {
@@ -1096,11 +6427,14 @@ app.get("/api/health", (_req, res) => {
   res.json({
     ok: true,
     uptimeSec: Math.round(process.uptime()),
-    routeFormat,
+    tracker: tracker().id,
+    routeFormat: tracker().routeFormat,
     routeBytes,
     rssMB: Math.round(mem.rss / 1024 / 1024),
     heapUsedMB: Math.round(mem.heapUsed / 1024 / 1024),
-    dataDir: DATA_DIR,
+    dataDir: tracker().dir,
+    publicDelayMinutes: PUBLIC_DELAY_MS / 60_000,
+    publicRebuild: { incrementalEnabled: PUBLIC_GEOJSON_INCREMENTAL, ...tracker().publicRebuildStats },
     time: new Date().toISOString(),
   })
 })
@@ -1118,12 +6452,11 @@ app.use((err, _req, res, _next) => {
 // ─────────────────────────────────────────────
 ;(function start() {
   try {
-    initRouteState()
-
-    // Zorg dat er een public geojson ligt (1x bij boot)
-    void rebuildPublicRouteGeoJSON().then(() => {
-      lastPublicGeojsonAt = Date.now()
-    })
+    startTracker(getTracker(DEFAULT_TRACKER))
+    for (const { id } of readTrackerRegistry()) {
+      const t = getTracker(id)
+      if (t) startTracker(t)
+    }
 
     const httpsOptions = loadHttpsOptions()
     https.createServer(httpsOptions, app).listen(PORT, () => {